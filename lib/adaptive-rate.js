@@ -0,0 +1,139 @@
+/**
+ * Adaptive Rate - Slows a rate bucket down when AnySite returns 429 and speeds it back up on success
+ *
+ * The configured budget (see getRateLimit in tool-registry.js, including runtime overrides) is the
+ * ceiling. Each 429 doubles the bucket's limiter duration, up to MAX_SLOWDOWN times the ceiling's;
+ * each successful call shortens it by RECOVERY_FACTOR until it is back at the ceiling.
+ *
+ * The effective rate is kept in Redis so it survives worker restarts and the server can report it:
+ * - anysignals:rate:{bucket}   hash with durationMs, limitedUntil and last429At
+ */
+
+const logger = require('./logger');
+const { getRedisConnection, getRuntimeConfig } = require('./queue');
+const { getRateLimit, listRateBuckets } = require('./tool-registry');
+
+const MAX_SLOWDOWN = 16;
+const RECOVERY_FACTOR = 0.9;
+
+/**
+ * Get the Redis key for a bucket's adaptive state
+ * @param {string} bucket - Rate bucket name
+ * @returns {string}
+ */
+function stateKey(bucket) {
+  return `anysignals:rate:${bucket}`;
+}
+
+/**
+ * Get the effective rate for a bucket
+ * @param {string} bucket - Rate bucket name
+ * @param {object} runtimeConfig - Live config, if the caller already has it
+ * @returns {Promise<{max: number, durationMs: number, ceilingDurationMs: number, limitedUntil: string|null, last429At: string|null}>}
+ */
+async function getEffectiveLimit(bucket, runtimeConfig) {
+  const redis = getRedisConnection();
+  const ceiling = getRateLimit(bucket, runtimeConfig || await getRuntimeConfig());
+  const state = await redis.hgetall(stateKey(bucket));
+
+  // Never go faster than the ceiling, even if it was lowered since the state was saved
+  const storedDuration = parseInt(state.durationMs, 10) || ceiling.durationMs;
+  const limitedUntil = parseInt(state.limitedUntil, 10) || 0;
+
+  return {
+    max: ceiling.max,
+    durationMs: Math.max(storedDuration, ceiling.durationMs),
+    ceilingDurationMs: ceiling.durationMs,
+    limitedUntil: limitedUntil > Date.now() ? new Date(limitedUntil).toISOString() : null,
+    last429At: state.last429At || null
+  };
+}
+
+/**
+ * Record a 429 for a bucket and slow it down
+ *
+ * @param {string} bucket - Rate bucket name
+ * @param {number|null} retryAfterMs - Delay from the Retry-After header, if one was sent
+ * @returns {Promise<{durationMs: number, pauseMs: number}>} - New limiter duration and how long to pause the queue
+ */
+async function recordRateLimited(bucket, retryAfterMs) {
+  const redis = getRedisConnection();
+  const current = await getEffectiveLimit(bucket);
+
+  const durationMs = Math.min(current.durationMs * 2, current.ceilingDurationMs * MAX_SLOWDOWN);
+  // Without a Retry-After, wait one interval at the new rate
+  const pauseMs = retryAfterMs ?? Math.ceil(durationMs / current.max);
+
+  await redis.hset(stateKey(bucket), {
+    durationMs,
+    limitedUntil: Date.now() + pauseMs,
+    last429At: new Date().toISOString()
+  });
+
+  logger.warn('Rate bucket slowed down after 429', {
+    bucket,
+    previousDurationMs: current.durationMs,
+    durationMs,
+    max: current.max,
+    pauseMs
+  });
+
+  return { durationMs, pauseMs };
+}
+
+/**
+ * Record a successful call for a bucket and speed it up toward its ceiling
+ *
+ * @param {string} bucket - Rate bucket name
+ * @returns {Promise<number>} - New limiter duration
+ */
+async function recordSuccess(bucket) {
+  const current = await getEffectiveLimit(bucket);
+
+  if (current.durationMs === current.ceilingDurationMs) {
+    return current.durationMs;
+  }
+
+  const durationMs = Math.max(current.ceilingDurationMs, Math.round(current.durationMs * RECOVERY_FACTOR));
+
+  if (durationMs === current.ceilingDurationMs) {
+    // Drop the stored duration so later changes to the configured rate apply immediately
+    await getRedisConnection().hdel(stateKey(bucket), 'durationMs');
+    logger.info('Rate bucket back at its configured rate', { bucket, durationMs, max: current.max });
+  } else {
+    await getRedisConnection().hset(stateKey(bucket), 'durationMs', durationMs);
+  }
+
+  return durationMs;
+}
+
+/**
+ * Get the effective rate of every bucket
+ * @returns {Promise<object>} - Map of bucket name to its effective and configured rate
+ */
+async function getEffectiveRates() {
+  const buckets = listRateBuckets();
+  const runtimeConfig = await getRuntimeConfig();
+  const limits = await Promise.all(buckets.map(bucket => getEffectiveLimit(bucket, runtimeConfig)));
+
+  const rates = {};
+  limits.forEach((limit, index) => {
+    rates[buckets[index]] = {
+      max: limit.max,
+      durationMs: limit.durationMs,
+      ratePerMinute: (limit.max * 60000) / limit.durationMs,
+      ceilingPerMinute: (limit.max * 60000) / limit.ceilingDurationMs,
+      limitedUntil: limit.limitedUntil,
+      last429At: limit.last429At
+    };
+  });
+
+  return rates;
+}
+
+module.exports = {
+  getEffectiveLimit,
+  recordRateLimited,
+  recordSuccess,
+  getEffectiveRates
+};
@@ -95,6 +95,16 @@ async function request(options) {
     } catch (error) {
       lastError = error;
 
+      // Rate limited - retrying here would only add to the load, so let the worker slow the queue down
+      if (error.response?.status === 429) {
+        logger.warn('AnySite API rate limited', {
+          attempt,
+          endpoint,
+          retryAfter: error.response.headers?.['retry-after']
+        });
+        break;
+      }
+
       // Determine if we should retry
       const shouldRetry = isRetryableError(error) && attempt < maxRetries;
 
@@ -121,7 +131,7 @@ async function request(options) {
     }
   }
 
-  // All retries exhausted
+  // All retries exhausted (or rate limited)
   throw formatError(lastError, endpoint);
 }
 
@@ -144,11 +154,6 @@ function isRetryableError(error) {
     return true;
   }
 
-  // Rate limiting (429) is retryable
-  if (error.response?.status === 429) {
-    return true;
-  }
-
   // Server errors (5xx) are retryable
   if (error.response?.status >= 500) {
     return true;
@@ -176,6 +181,25 @@ function getRetryDelay(attempt) {
   return Math.round(delay + jitter);
 }
 
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string} value - Header value: delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in ms, or null if missing or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Extract error message from various error types
  * @param {Error} error - The error
@@ -210,6 +234,11 @@ function formatError(error, endpoint) {
   formattedError.originalError = error;
   formattedError.responseData = error.response?.data;
 
+  if (status === 429) {
+    formattedError.rateLimited = true;
+    formattedError.retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+  }
+
   return formattedError;
 }
 
@@ -267,5 +296,6 @@ module.exports = {
   post,
   get,
   healthCheck,
-  getClient
+  getClient,
+  parseRetryAfter
 };
@@ -0,0 +1,134 @@
+/**
+ * Callback Groups - Collect per-row callbacks for a batch and send them as arrays
+ *
+ * A group is sent when it reaches its size or its interval elapses, whichever comes first.
+ * Buffered payloads live in Redis so a worker restart does not lose them:
+ * - anysignals:batch:{id}:callback-buffer   list of buffered payloads (JSON)
+ * - anysignals:callback-groups:due          sorted set of batch IDs by time the group is due
+ */
+
+const logger = require('./logger');
+const { getRedisConnection } = require('./queue');
+const callbackOutbox = require('./callback-outbox');
+
+const DUE_SET = 'anysignals:callback-groups:due';
+
+/**
+ * Get the buffer key for a batch
+ * @param {string} batchId - Batch identifier
+ * @returns {string}
+ */
+function bufferKey(batchId) {
+  return `anysignals:batch:${batchId}:callback-buffer`;
+}
+
+/**
+ * Add a payload to a batch's callback group, sending the group if it is full
+ *
+ * @param {string} batchId - Batch identifier
+ * @param {object} payload - Payload from callback.buildCallbackPayload
+ * @param {object} settings - Group settings
+ * @param {number} settings.size - Payloads per callback
+ * @param {number} settings.intervalSeconds - Max seconds a payload waits before its group is sent
+ */
+async function add(batchId, payload, settings) {
+  const redis = getRedisConnection();
+
+  const length = await redis.rpush(bufferKey(batchId), JSON.stringify(payload));
+  await redis.expire(bufferKey(batchId), 48 * 3600);
+
+  if (length === 1) {
+    // First payload of a new group starts its timer
+    await redis.zadd(DUE_SET, 'NX', Date.now() + settings.intervalSeconds * 1000, batchId);
+  }
+
+  if (length >= settings.size) {
+    await flush(batchId);
+  }
+}
+
+/**
+ * Send the next group of buffered payloads for a batch
+ *
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<number>} - Number of payloads sent (0 if the buffer was empty)
+ */
+async function flush(batchId) {
+  const redis = getRedisConnection();
+  const batchKey = `anysignals:batch:${batchId}`;
+
+  const [callbackUrl, callbackSecret, size, intervalSeconds] = await redis.hmget(
+    batchKey, 'callbackUrl', 'callbackSecret', 'callbackGroupSize', 'callbackGroupIntervalSeconds'
+  );
+  const groupSize = parseInt(size, 10) || 1;
+
+  // Take the group atomically so concurrent flushes never send the same payload twice
+  const [[, entries], , [, remaining]] = await redis.multi()
+    .lrange(bufferKey(batchId), 0, groupSize - 1)
+    .ltrim(bufferKey(batchId), groupSize, -1)
+    .llen(bufferKey(batchId))
+    .exec();
+
+  if (remaining > 0) {
+    await redis.zadd(DUE_SET, Date.now() + (parseInt(intervalSeconds, 10) || 0) * 1000, batchId);
+  } else {
+    await redis.zrem(DUE_SET, batchId);
+  }
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  if (!callbackUrl) {
+    logger.warn('Dropping callback group for batch without a callback URL', { batchId, count: entries.length });
+    return 0;
+  }
+
+  const payload = entries.map(entry => JSON.parse(entry));
+  const outcome = await callbackOutbox.deliver(callbackUrl, payload, { callbackSecret, batchId });
+
+  if (outcome.success) {
+    logger.info('Callback group delivered', { batchId, count: payload.length });
+  } else {
+    logger.warn('Callback group delivery failed', {
+      batchId,
+      count: payload.length,
+      error: outcome.error,
+      outboxId: outcome.outboxId
+    });
+  }
+
+  return payload.length;
+}
+
+/**
+ * Send every buffered payload for a batch (used when the batch finishes)
+ * @param {string} batchId - Batch identifier
+ */
+async function flushAll(batchId) {
+  while (await flush(batchId) > 0) {
+    // Keep flushing full groups until the buffer is empty
+  }
+}
+
+/**
+ * Send every group whose interval has elapsed
+ * @returns {Promise<number>} - Number of groups sent
+ */
+async function flushDue() {
+  const redis = getRedisConnection();
+  const dueBatchIds = await redis.zrangebyscore(DUE_SET, 0, Date.now(), 'LIMIT', 0, 50);
+
+  for (const batchId of dueBatchIds) {
+    await flush(batchId);
+  }
+
+  return dueBatchIds.length;
+}
+
+module.exports = {
+  add,
+  flush,
+  flushAll,
+  flushDue
+};
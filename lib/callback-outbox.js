@@ -0,0 +1,283 @@
+/**
+ * Callback Outbox - Durable storage and slow redelivery for callbacks that exhausted their retries
+ *
+ * Entries live in Redis:
+ * - anysignals:callback:{id}       hash with url, payload, attempt history and delivery state
+ * - anysignals:callbacks:failed    sorted set of undelivered entries by creation time (for listing)
+ * - anysignals:callbacks:retry     sorted set of entries still being retried, by next attempt time
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { getRedisConnection } = require('./queue');
+const { sendCallback, getSigningOptions } = require('./callback');
+
+const FAILED_SET = 'anysignals:callbacks:failed';
+const RETRY_SET = 'anysignals:callbacks:retry';
+
+// Delay before each outbox retry, in minutes - the entry is marked dead after the last one
+const RETRY_SCHEDULE_MINUTES = [5, 15, 60, 180, 360, 720];
+
+// Keep undelivered entries for 7 days, matching failed jobs in the queue
+const ENTRY_TTL_SECONDS = 7 * 24 * 3600;
+
+// How long a claimed entry is held back from other workers while one attempts it
+const CLAIM_SECONDS = 300;
+
+// Claim a due entry by pushing its next attempt past the claim period - only the caller that moves it
+// attempts it, and an entry whose worker dies mid-attempt comes due again once the claim runs out
+const CLAIM_DUE_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not score or tonumber(score) > tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return 1
+`;
+
+/**
+ * Get the Redis key for an outbox entry
+ * @param {string} id - Outbox entry ID
+ * @returns {string}
+ */
+function entryKey(id) {
+  return `anysignals:callback:${id}`;
+}
+
+/**
+ * Parse an outbox entry hash into its public shape
+ * @param {object} hash - Raw Redis hash
+ * @returns {object}
+ */
+function parseEntry(hash) {
+  return {
+    id: hash.id,
+    url: hash.url,
+    state: hash.state,
+    jobId: hash.jobId || null,
+    batchId: hash.batchId || null,
+    payload: JSON.parse(hash.payload),
+    attempts: JSON.parse(hash.attempts),
+    lastError: hash.lastError,
+    createdAt: hash.createdAt,
+    nextAttemptAt: hash.nextAttemptAt || null
+  };
+}
+
+/**
+ * Send a callback, saving it to the outbox if every immediate retry fails
+ *
+ * @param {string} callbackUrl - URL to POST the callback to
+ * @param {object} payload - Data to send in the callback
+ * @param {object} meta - Delivery context
+ * @param {string} meta.callbackSecret - Per-batch signing secret
+ * @param {string} meta.jobId - Job the callback belongs to
+ * @param {string} meta.batchId - Batch the callback belongs to
+ * @returns {Promise<{success: boolean, attempts: number, error?: string, outboxId?: string}>}
+ */
+async function deliver(callbackUrl, payload, meta = {}) {
+  const outcome = await sendCallback(callbackUrl, payload, getSigningOptions(meta.callbackSecret));
+
+  if (outcome.success) {
+    return outcome;
+  }
+
+  const outboxId = await recordFailure(callbackUrl, payload, meta, outcome);
+  return { ...outcome, outboxId };
+}
+
+/**
+ * Save a failed callback to the outbox and schedule its first slow retry
+ *
+ * @param {string} callbackUrl - Target URL
+ * @param {object} payload - Callback payload
+ * @param {object} meta - Delivery context (callbackSecret, jobId, batchId)
+ * @param {object} outcome - Result of the failed sendCallback call
+ * @returns {Promise<string>} - Outbox entry ID
+ */
+async function recordFailure(callbackUrl, payload, meta, outcome) {
+  const redis = getRedisConnection();
+  const id = `cb_${uuidv4().split('-')[0]}`;
+  const now = Date.now();
+  const nextAttemptAt = now + RETRY_SCHEDULE_MINUTES[0] * 60000;
+
+  const entry = {
+    id,
+    url: callbackUrl,
+    state: 'retrying',
+    payload: JSON.stringify(payload),
+    attempts: JSON.stringify([{
+      at: new Date(now).toISOString(),
+      source: 'immediate',
+      attempts: outcome.attempts,
+      status: outcome.status,
+      error: outcome.error
+    }]),
+    lastError: outcome.error,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(nextAttemptAt).toISOString()
+  };
+
+  if (meta.jobId) entry.jobId = meta.jobId;
+  if (meta.batchId) entry.batchId = meta.batchId;
+  if (meta.callbackSecret) entry.callbackSecret = meta.callbackSecret;
+
+  await redis.multi()
+    .hset(entryKey(id), entry)
+    .expire(entryKey(id), ENTRY_TTL_SECONDS)
+    .zadd(FAILED_SET, now, id)
+    .zadd(RETRY_SET, nextAttemptAt, id)
+    .exec();
+
+  logger.warn('Callback saved to outbox', {
+    outboxId: id,
+    url: callbackUrl,
+    jobId: meta.jobId,
+    batchId: meta.batchId,
+    error: outcome.error
+  });
+
+  return id;
+}
+
+/**
+ * Make one delivery attempt for an outbox entry and record the outcome
+ *
+ * @param {string} id - Outbox entry ID
+ * @param {'scheduled'|'manual'} source - What triggered the attempt
+ * @returns {Promise<object|null>} - Updated entry (state 'delivered' on success), or null if not found
+ */
+async function attemptEntry(id, source) {
+  const redis = getRedisConnection();
+  const hash = await redis.hgetall(entryKey(id));
+
+  if (!hash || !hash.id) {
+    await redis.zrem(FAILED_SET, id);
+    await redis.zrem(RETRY_SET, id);
+    return null;
+  }
+
+  const outcome = await sendCallback(hash.url, JSON.parse(hash.payload), {
+    maxRetries: 1,
+    ...getSigningOptions(hash.callbackSecret)
+  });
+
+  const attempts = JSON.parse(hash.attempts);
+  attempts.push({
+    at: new Date().toISOString(),
+    source,
+    attempts: outcome.attempts,
+    status: outcome.status,
+    error: outcome.error
+  });
+
+  if (outcome.success) {
+    await redis.multi()
+      .hset(entryKey(id), { state: 'delivered', attempts: JSON.stringify(attempts) })
+      .hdel(entryKey(id), 'nextAttemptAt')
+      .expire(entryKey(id), 24 * 3600)
+      .zrem(FAILED_SET, id)
+      .zrem(RETRY_SET, id)
+      .exec();
+
+    logger.info('Outbox callback delivered', { outboxId: id, url: hash.url, source });
+    return parseEntry({ ...hash, state: 'delivered', attempts: JSON.stringify(attempts), nextAttemptAt: null });
+  }
+
+  // Manual redeliveries restart the slow schedule; scheduled ones advance it
+  const scheduledAttempts = attempts.filter(a => a.source === 'scheduled').length;
+  const delayMinutes = source === 'manual'
+    ? RETRY_SCHEDULE_MINUTES[0]
+    : RETRY_SCHEDULE_MINUTES[scheduledAttempts];
+
+  const update = {
+    attempts: JSON.stringify(attempts),
+    lastError: outcome.error
+  };
+  const multi = redis.multi();
+
+  if (delayMinutes === undefined) {
+    update.state = 'dead';
+    multi.hdel(entryKey(id), 'nextAttemptAt').zrem(RETRY_SET, id);
+    logger.error('Outbox callback gave up after all retries', { outboxId: id, url: hash.url });
+  } else {
+    const nextAttemptAt = Date.now() + delayMinutes * 60000;
+    update.state = 'retrying';
+    update.nextAttemptAt = new Date(nextAttemptAt).toISOString();
+    multi.zadd(RETRY_SET, nextAttemptAt, id);
+  }
+
+  await multi.hset(entryKey(id), update).exec();
+
+  return parseEntry({ ...hash, ...update, nextAttemptAt: update.nextAttemptAt || null });
+}
+
+/**
+ * Retry every outbox entry whose next attempt is due
+ * Each entry is claimed before it is sent, so workers retrying at the same time never send it twice.
+ * @returns {Promise<number>} - Number of entries attempted
+ */
+async function retryDue() {
+  const redis = getRedisConnection();
+  const now = Date.now();
+  const dueIds = await redis.zrangebyscore(RETRY_SET, 0, now, 'LIMIT', 0, 50);
+
+  let attempted = 0;
+  for (const id of dueIds) {
+    const claimed = await redis.eval(CLAIM_DUE_SCRIPT, 1, RETRY_SET, id, now, now + CLAIM_SECONDS * 1000);
+    if (!claimed) continue;
+
+    await attemptEntry(id, 'scheduled');
+    attempted++;
+  }
+
+  return attempted;
+}
+
+/**
+ * Redeliver an outbox entry immediately
+ * @param {string} id - Outbox entry ID
+ * @returns {Promise<object|null>} - Updated entry, or null if not found
+ */
+async function redeliver(id) {
+  return attemptEntry(id, 'manual');
+}
+
+/**
+ * List undelivered callbacks, oldest first
+ * @param {object} options - Pagination options
+ * @param {number} options.offset - Entries to skip (default: 0)
+ * @param {number} options.limit - Max entries to return (default: 100)
+ * @returns {Promise<{callbacks: object[], total: number}>}
+ */
+async function listFailed(options = {}) {
+  const { offset = 0, limit = 100 } = options;
+  const redis = getRedisConnection();
+
+  const [total, ids] = await Promise.all([
+    redis.zcard(FAILED_SET),
+    redis.zrange(FAILED_SET, offset, offset + limit - 1)
+  ]);
+
+  const callbacks = [];
+  for (const id of ids) {
+    const hash = await redis.hgetall(entryKey(id));
+    if (hash && hash.id) {
+      callbacks.push(parseEntry(hash));
+    } else {
+      // Entry expired - drop it from the indexes
+      await redis.zrem(FAILED_SET, id);
+      await redis.zrem(RETRY_SET, id);
+    }
+  }
+
+  return { callbacks, total };
+}
+
+module.exports = {
+  RETRY_SCHEDULE_MINUTES,
+  deliver,
+  retryDue,
+  redeliver,
+  listFailed
+};
@@ -2,6 +2,7 @@
  * Callback Handler - Webhook callback delivery with retry logic
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('./logger');
 
@@ -14,6 +15,23 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Compute the HMAC-SHA256 signature for a callback body
+ * Receivers verify by recomputing HMAC(secret, `${timestamp}.${rawBody}`) and comparing
+ * against the X-AnySignals-Signature header.
+ *
+ * @param {string} body - Raw JSON body exactly as sent
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-AnySignals-Timestamp
+ * @param {string} secret - Signing secret
+ * @returns {string} - Signature in the form `sha256=<hex>`
+ */
+function signPayload(body, timestamp, secret) {
+  const hmac = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${hmac}`;
+}
+
 /**
  * Send a callback webhook with retry logic
  *
@@ -23,15 +41,19 @@ function sleep(ms) {
  * @param {number} options.maxRetries - Maximum retry attempts (default: from env or 3)
  * @param {number} options.timeout - Request timeout in ms (default: from env or 10000)
  * @param {number} options.baseDelay - Base delay for exponential backoff (default: from env or 1000)
+ * @param {string} options.signingSecret - HMAC secret for signing the body (default: from env, unsigned if unset)
  * @returns {Promise<{success: boolean, attempts: number, error?: string}>}
  */
 async function sendCallback(callbackUrl, payload, options = {}) {
   const {
     maxRetries = parseInt(process.env.CALLBACK_MAX_RETRIES, 10) || 3,
     timeout = parseInt(process.env.CALLBACK_TIMEOUT_MS, 10) || 10000,
-    baseDelay = parseInt(process.env.CALLBACK_RETRY_DELAY_MS, 10) || 1000
+    baseDelay = parseInt(process.env.CALLBACK_RETRY_DELAY_MS, 10) || 1000,
+    signingSecret = process.env.CALLBACK_SIGNING_SECRET
   } = options;
 
+  // Serialize once so the signature covers the exact bytes sent
+  const body = JSON.stringify(payload);
   let lastError = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -43,13 +65,21 @@ async function sendCallback(callbackUrl, payload, options = {}) {
         rowId: payload.rowId
       });
 
-      const response = await axios.post(callbackUrl, payload, {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AnySignals/1.0',
+        'X-AnySignals-Attempt': attempt.toString()
+      };
+
+      if (signingSecret) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        headers['X-AnySignals-Timestamp'] = timestamp;
+        headers['X-AnySignals-Signature'] = signPayload(body, timestamp, signingSecret);
+      }
+
+      const response = await axios.post(callbackUrl, body, {
         timeout,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'AnySignals/1.0',
-          'X-AnySignals-Attempt': attempt.toString()
-        }
+        headers
       });
 
       logger.info('Callback delivered successfully', {
@@ -99,6 +129,7 @@ async function sendCallback(callbackUrl, payload, options = {}) {
   return {
     success: false,
     attempts: maxRetries,
+    status: lastError.response?.status,
     error: getErrorMessage(lastError)
   };
 }
@@ -169,16 +200,26 @@ function getErrorMessage(error) {
   return 'Unknown callback error';
 }
 
+/**
+ * Build sendCallback options for a per-batch signing secret
+ * @param {string} callbackSecret - Per-batch secret, if one was given
+ * @returns {object} - Options overriding the default secret, or empty to use it
+ */
+function getSigningOptions(callbackSecret) {
+  return callbackSecret ? { signingSecret: callbackSecret } : {};
+}
+
 /**
  * Build callback payload for a completed job
  *
- * @param {object} job - BullMQ job
+ * @param {object} job - BullMQ job, or a worker row (which carries `cachedAt` when answered from the cache)
  * @param {object} result - Job result data
  * @param {'completed'|'failed'} status - Job status
  * @param {string} error - Error message if failed
+ * @param {object} changes - Diff against the previous result for the same request (completed jobs only)
  * @returns {object} - Formatted callback payload
  */
-function buildCallbackPayload(job, result, status, error = null) {
+function buildCallbackPayload(job, result, status, error = null, changes = null) {
   const payload = {
     jobId: job.id,
     rowId: job.data.rowId,
@@ -188,8 +229,20 @@ function buildCallbackPayload(job, result, status, error = null) {
     processedAt: new Date().toISOString()
   };
 
+  if (job.cachedAt) {
+    payload.cached = true;
+  }
+
+  if (job.data.pipeline) {
+    payload.step = job.data.pipeline.step;
+    payload.parentRowId = job.data.pipeline.parentRowId;
+  }
+
   if (status === 'completed') {
     payload.data = result;
+    if (changes) {
+      payload.changes = changes;
+    }
   } else {
     payload.error = error;
     payload.attempts = job.attemptsMade;
@@ -211,7 +264,7 @@ async function sendCompletedCallback(job, result) {
   }
 
   const payload = buildCallbackPayload(job, result, 'completed');
-  return sendCallback(job.data.callbackUrl, payload);
+  return sendCallback(job.data.callbackUrl, payload, getSigningOptions(job.data.callbackSecret));
 }
 
 /**
@@ -227,12 +280,43 @@ async function sendFailedCallback(job, errorMessage) {
   }
 
   const payload = buildCallbackPayload(job, null, 'failed', errorMessage);
-  return sendCallback(job.data.callbackUrl, payload);
+  return sendCallback(job.data.callbackUrl, payload, getSigningOptions(job.data.callbackSecret));
+}
+
+/**
+ * Build callback payload summarising a finished batch
+ *
+ * @param {object} status - Batch status from queue.getBatchStatus
+ * @param {string[]} failedRowIds - rowIds of the rows that failed
+ * @returns {object} - Formatted callback payload
+ */
+function buildBatchCompletedPayload(status, failedRowIds) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  const finishedAt = status.finishedAt || new Date().toISOString();
+
+  return {
+    event: 'batch.completed',
+    batchId: status.batchId,
+    tool: status.tool,
+    state: status.state,
+    total: status.total,
+    completed: status.completed,
+    failed: status.failed,
+    cancelled: status.cancelled,
+    createdAt: status.createdAt,
+    finishedAt,
+    durationSeconds: Math.round((Date.parse(finishedAt) - Date.parse(status.createdAt)) / 1000),
+    resultsUrl: `${baseUrl}/api/status/${status.batchId}?results=true`,
+    failedRowIds
+  };
 }
 
 module.exports = {
+  signPayload,
   sendCallback,
   buildCallbackPayload,
+  buildBatchCompletedPayload,
   sendCompletedCallback,
-  sendFailedCallback
+  sendFailedCallback,
+  getSigningOptions
 };
@@ -0,0 +1,221 @@
+/**
+ * Change Detection - Diff each result against the previous result for the same request
+ *
+ * The latest result per client and request key (tool + normalized params, see getRequestKey) is kept
+ * as a snapshot so scheduled re-checks can report what changed since that client's last run:
+ * - anysignals:snapshot:{clientId}:{requestKey}[:{viewHash}]   JSON {data, jobId, storedAt}
+ *
+ * With a projection, what is diffed and kept is the projected result the client gets back (its items when
+ * exploded), so fields it left out never show up as changes. Each projection has its own snapshot.
+ *
+ * Only requests that ask for change detection are diffed. The worker diffs before storing a job's rows
+ * and saves the new snapshot after, so a retried job still diffs against the previous run.
+ *
+ * Diffs are a flat list of changes, each with a dot/bracket path:
+ * - { path: 'headline', type: 'changed', from: 'Engineer', to: 'Senior Engineer' }
+ * - { path: 'follower_count', type: 'changed', from: 900, to: 1400, delta: 500 }
+ * - { path: 'posts[urn=urn:li:activity:1]', type: 'added', to: {...} }
+ */
+
+const crypto = require('crypto');
+const { getRedisConnection } = require('./queue');
+const { getRequestKey } = require('./tool-registry');
+const { projectRow } = require('./projection');
+
+// Long enough to span a weekly schedule with room to spare
+const SNAPSHOT_TTL_SECONDS = parseInt(process.env.SNAPSHOT_TTL_SECONDS, 10) || 14 * 24 * 3600;
+
+// Fields used to match array items between runs, in order of preference
+const IDENTITY_FIELDS = ['urn', 'id', 'url', 'alias'];
+
+// Cap on reported changes so a completely different result does not produce a huge payload
+const MAX_CHANGES = 200;
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find a field that identifies every item of both arrays
+ * @param {array} previous - Previous array
+ * @param {array} next - New array
+ * @returns {string|null}
+ */
+function getIdentityField(previous, next) {
+  const items = [...previous, ...next];
+  if (items.length === 0 || !items.every(isObject)) {
+    return null;
+  }
+  return IDENTITY_FIELDS.find(field => items.every(item => item[field] !== undefined)) || null;
+}
+
+/**
+ * Diff two arrays, matching items by identity when they have one
+ * @param {array} previous - Previous array
+ * @param {array} next - New array
+ * @param {string} path - Path of the array
+ * @param {object[]} changes - Accumulator
+ */
+function diffArrays(previous, next, path, changes) {
+  const field = getIdentityField(previous, next);
+
+  if (!field) {
+    // No way to line items up - report the array as a whole if it differs
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ path, type: 'changed', from: previous, to: next });
+    }
+    return;
+  }
+
+  const previousById = new Map(previous.map(item => [String(item[field]), item]));
+  const nextById = new Map(next.map(item => [String(item[field]), item]));
+
+  for (const [id, item] of nextById) {
+    const itemPath = `${path}[${field}=${id}]`;
+    if (previousById.has(id)) {
+      diffValues(previousById.get(id), item, itemPath, changes);
+    } else {
+      changes.push({ path: itemPath, type: 'added', to: item });
+    }
+  }
+
+  for (const [id, item] of previousById) {
+    if (!nextById.has(id)) {
+      changes.push({ path: `${path}[${field}=${id}]`, type: 'removed', from: item });
+    }
+  }
+}
+
+/**
+ * Recursively diff two values
+ * @param {*} previous - Previous value
+ * @param {*} next - New value
+ * @param {string} path - Path of the value ('' for the root)
+ * @param {object[]} changes - Accumulator
+ * @returns {object[]} - The accumulator
+ */
+function diffValues(previous, next, path = '', changes = []) {
+  if (isObject(previous) && isObject(next)) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    for (const key of keys) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in previous)) {
+        changes.push({ path: keyPath, type: 'added', to: next[key] });
+      } else if (!(key in next)) {
+        changes.push({ path: keyPath, type: 'removed', from: previous[key] });
+      } else {
+        diffValues(previous[key], next[key], keyPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(previous) && Array.isArray(next)) {
+    diffArrays(previous, next, path, changes);
+    return changes;
+  }
+
+  if (JSON.stringify(previous) !== JSON.stringify(next)) {
+    const change = { path, type: 'changed', from: previous, to: next };
+    if (typeof previous === 'number' && typeof next === 'number') {
+      change.delta = next - previous;
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+/**
+ * Get the part of a result a client gets back, which is what gets diffed
+ * @param {*} data - Result data
+ * @param {object} view - Row options shaping the result
+ * @param {string} view.explode - JSON path of the list split into one record per item
+ * @param {object} view.projection - {fields, mapping}
+ * @returns {*} - The projected items of an exploded row, else the projected result (the full result
+ *   without a projection)
+ */
+function getView(data, { explode, projection } = {}) {
+  if (!projection) {
+    return data;
+  }
+  const { items, output } = projectRow(data, { explode, projection });
+  return items.length > 0 ? items : output;
+}
+
+/**
+ * Get the Redis key of a client's snapshot for a request
+ * Projected views get a key of their own, so two projections of the same request do not diff against each
+ * other.
+ * @param {string} clientId - API client
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @param {object} view - Row options shaping the result ({explode, projection})
+ * @returns {string}
+ */
+function getSnapshotKey(clientId, tool, params, { explode, projection } = {}) {
+  const key = `anysignals:snapshot:${clientId}:${getRequestKey(tool, params)}`;
+  if (!projection) {
+    return key;
+  }
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ explode, projection })).digest('hex');
+  return `${key}:${hash.slice(0, 16)}`;
+}
+
+/**
+ * Diff a new result against the client's previous result for the same request
+ *
+ * @param {string} clientId - API client
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @param {*} data - New result data
+ * @param {object} view - Row options shaping the result ({explode, projection})
+ * @returns {Promise<{firstSeen: boolean, changed: boolean, previousResultAt: string|null, changes: object[], truncated: boolean}>}
+ *   changed is true on first sight, since there is no earlier result to compare against
+ */
+async function detectChanges(clientId, tool, params, data, view = {}) {
+  const stored = await getRedisConnection().get(getSnapshotKey(clientId, tool, params, view));
+
+  if (!stored) {
+    return { firstSeen: true, changed: true, previousResultAt: null, changes: [], truncated: false };
+  }
+
+  const previous = JSON.parse(stored);
+  const changes = diffValues(previous.data, getView(data, view));
+
+  return {
+    firstSeen: false,
+    changed: changes.length > 0,
+    previousResultAt: previous.storedAt,
+    changes: changes.slice(0, MAX_CHANGES),
+    truncated: changes.length > MAX_CHANGES
+  };
+}
+
+/**
+ * Save a result as the client's snapshot for the request, for the next run to diff against
+ * @param {string} clientId - API client
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @param {*} data - Result data
+ * @param {string} jobId - Job that produced the result
+ * @param {object} view - Row options shaping the result ({explode, projection})
+ */
+async function saveSnapshot(clientId, tool, params, data, jobId, view = {}) {
+  const snapshot = { data: getView(data, view), jobId, storedAt: new Date().toISOString() };
+  await getRedisConnection().setex(
+    getSnapshotKey(clientId, tool, params, view), SNAPSHOT_TTL_SECONDS, JSON.stringify(snapshot)
+  );
+}
+
+module.exports = {
+  diffValues,
+  getSnapshotKey,
+  detectChanges,
+  saveSnapshot
+};
@@ -0,0 +1,205 @@
+/**
+ * Client Registry - API keys with per-client scopes, stored in Redis
+ *
+ * Each client has:
+ * - name: Human-readable owner of the key
+ * - allowedTools: Tools the client may call (empty = all tools)
+ * - maxBatchSize: Max records per batch request
+ * - priorityCeiling: Highest priority the client may request (1=high, 10=low)
+ * - weight: Share of the drip relative to other clients when their jobs compete (default 1)
+ * - revoked: Revoked keys are rejected
+ *
+ * Only a SHA-256 hash of each API key is stored; the key itself is returned once at creation.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { getRedisConnection } = require('./queue');
+
+const CLIENTS_SET = 'anysignals:clients';
+const KEY_INDEX = 'anysignals:client-keys';
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Plain API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Compare two secrets in constant time
+ * Both values are hashed first so differing lengths do not leak through timingSafeEqual.
+ *
+ * @param {string} provided - Secret supplied by the caller
+ * @param {string} expected - Configured secret
+ * @returns {boolean}
+ */
+function safeCompare(provided, expected) {
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse a client hash into its public shape
+ * @param {object} hash - Raw Redis hash
+ * @returns {object}
+ */
+function parseClient(hash) {
+  return {
+    id: hash.id,
+    name: hash.name,
+    allowedTools: JSON.parse(hash.allowedTools),
+    maxBatchSize: parseInt(hash.maxBatchSize, 10),
+    priorityCeiling: parseInt(hash.priorityCeiling, 10),
+    weight: parseInt(hash.weight, 10) || 1,
+    revoked: hash.revoked === 'true',
+    createdAt: hash.createdAt,
+    revokedAt: hash.revokedAt
+  };
+}
+
+/**
+ * Create a client and its API key
+ *
+ * @param {object} options - Client settings
+ * @param {string} options.name - Client name
+ * @param {string[]} options.allowedTools - Tools the client may call (default: all)
+ * @param {number} options.maxBatchSize - Max records per batch (default: MAX_BATCH_SIZE)
+ * @param {number} options.priorityCeiling - Highest priority allowed (default: 5)
+ * @param {number} options.weight - Fair scheduling weight (default: 1)
+ * @returns {Promise<{client: object, apiKey: string}>}
+ */
+async function createClient(options) {
+  const {
+    name,
+    allowedTools = [],
+    maxBatchSize = parseInt(process.env.MAX_BATCH_SIZE, 10) || 2000,
+    priorityCeiling = 5,
+    weight = 1
+  } = options;
+  const redis = getRedisConnection();
+
+  const id = `client_${uuidv4().split('-')[0]}`;
+  const apiKey = `as_${crypto.randomBytes(24).toString('hex')}`;
+  const keyHash = hashKey(apiKey);
+
+  const hash = {
+    id,
+    name,
+    keyHash,
+    allowedTools: JSON.stringify(allowedTools),
+    maxBatchSize,
+    priorityCeiling,
+    weight,
+    revoked: 'false',
+    createdAt: new Date().toISOString()
+  };
+
+  await redis.multi()
+    .hset(`anysignals:client:${id}`, hash)
+    .hset(KEY_INDEX, keyHash, id)
+    .sadd(CLIENTS_SET, id)
+    .exec();
+
+  logger.info('API client created', { clientId: id, name });
+
+  return { client: parseClient(hash), apiKey };
+}
+
+/**
+ * Get a client by ID
+ * @param {string} clientId - Client identifier
+ * @returns {Promise<object|null>}
+ */
+async function getClient(clientId) {
+  const redis = getRedisConnection();
+  const hash = await redis.hgetall(`anysignals:client:${clientId}`);
+
+  if (!hash || !hash.id) {
+    return null;
+  }
+  return parseClient(hash);
+}
+
+/**
+ * List all clients
+ * @returns {Promise<object[]>}
+ */
+async function listClients() {
+  const redis = getRedisConnection();
+  const ids = await redis.smembers(CLIENTS_SET);
+
+  const clients = await Promise.all(ids.map(getClient));
+  return clients
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Check whether any client keys have been issued
+ * @returns {Promise<boolean>}
+ */
+async function hasClients() {
+  return (await getRedisConnection().scard(CLIENTS_SET)) > 0;
+}
+
+/**
+ * Revoke a client's API key
+ * @param {string} clientId - Client identifier
+ * @returns {Promise<object|null>} - Updated client, or null if not found
+ */
+async function revokeClient(clientId) {
+  const redis = getRedisConnection();
+  const client = await getClient(clientId);
+
+  if (!client) {
+    return null;
+  }
+
+  const revokedAt = new Date().toISOString();
+  await redis.hset(`anysignals:client:${clientId}`, { revoked: 'true', revokedAt });
+
+  logger.info('API client revoked', { clientId, name: client.name });
+
+  return { ...client, revoked: true, revokedAt };
+}
+
+/**
+ * Look up the client that owns an API key
+ * @param {string} apiKey - Plain API key from the request
+ * @returns {Promise<object|null>} - Client (check .revoked), or null if the key is unknown
+ */
+async function findClientByKey(apiKey) {
+  const redis = getRedisConnection();
+  const clientId = await redis.hget(KEY_INDEX, hashKey(apiKey));
+
+  if (!clientId) {
+    return null;
+  }
+  return getClient(clientId);
+}
+
+/**
+ * Check whether a client may call a tool
+ * @param {object} client - Client from the registry
+ * @param {string} toolName - Tool name
+ * @returns {boolean}
+ */
+function canUseTool(client, toolName) {
+  return client.allowedTools.length === 0 || client.allowedTools.includes(toolName);
+}
+
+module.exports = {
+  safeCompare,
+  createClient,
+  getClient,
+  listClients,
+  hasClients,
+  revokeClient,
+  findClientByKey,
+  canUseTool
+};
@@ -0,0 +1,216 @@
+/**
+ * Batch Export - Stream stored batch results as CSV, NDJSON or JSON
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { finished } = require('stream/promises');
+const queue = require('./queue');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json'
+};
+
+// Columns written before the flattened data columns in CSV exports
+const BASE_COLUMNS = ['rowId', 'status', 'error', 'jobId', 'completedAt', 'failedAt'];
+
+/**
+ * Flatten nested objects into dot-separated keys
+ * Arrays are kept as single JSON-encoded values so columns stay bounded.
+ *
+ * @param {object} obj - Object to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @param {object} out - Accumulator
+ * @returns {object} - Flat key/value map
+ */
+function flattenObject(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenObject(value, path, out);
+    } else {
+      out[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Flatten a stored result into a CSV row keyed by column name
+ * @param {object} result - Stored result
+ * @returns {object}
+ */
+function toFlatRow(result) {
+  const row = {};
+  for (const column of BASE_COLUMNS) {
+    row[column] = result[column];
+  }
+
+  const data = result.data;
+  if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+    flattenObject(data, 'data', row);
+  } else if (data !== undefined) {
+    row.data = Array.isArray(data) ? JSON.stringify(data) : data;
+  }
+
+  return row;
+}
+
+/**
+ * Escape a single CSV cell
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Wait for a stream's buffer to drain
+ * Rejects if the stream closes or errors first (e.g. the client disconnected), so an export never hangs.
+ * @param {Writable} stream - Destination stream
+ * @returns {Promise<void>}
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      if (error) reject(error); else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Export stream closed before it drained'));
+
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', settle);
+  });
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} stream - Destination stream
+ * @param {string} chunk - Data to write
+ */
+async function write(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error('Export stream closed');
+  }
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+}
+
+/**
+ * Stream a batch as CSV
+ * Reads the batch once, spooling flattened rows to a temp file while collecting the column set, then
+ * writes the header and the spooled rows - so every row is exported exactly once under the full header
+ * while only column names are held in memory.
+ *
+ * @param {string} batchId - Batch identifier
+ * @param {Writable} stream - Destination stream
+ * @param {object} options - Iteration options passed to queue.iterateBatchResults
+ */
+async function writeCsv(batchId, stream, options) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'anysignals-export-'));
+  const spoolFile = path.join(dir, 'rows.ndjson');
+  const columns = new Set(BASE_COLUMNS);
+
+  try {
+    const spool = fs.createWriteStream(spoolFile);
+    try {
+      for await (const result of queue.iterateBatchResults(batchId, options)) {
+        const row = toFlatRow(result);
+        for (const column of Object.keys(row)) {
+          columns.add(column);
+        }
+        await write(spool, `${JSON.stringify(row)}\n`);
+      }
+      spool.end();
+      await finished(spool);
+    } finally {
+      spool.destroy();
+    }
+
+    const header = [...columns];
+    await write(stream, `${header.map(escapeCsv).join(',')}\n`);
+
+    const lines = readline.createInterface({ input: fs.createReadStream(spoolFile, 'utf8'), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        const row = JSON.parse(line);
+        await write(stream, `${header.map(column => escapeCsv(row[column])).join(',')}\n`);
+      }
+    } finally {
+      lines.close();
+    }
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Stream a batch as newline-delimited JSON
+ * @param {string} batchId - Batch identifier
+ * @param {Writable} stream - Destination stream
+ * @param {object} options - Iteration options passed to queue.iterateBatchResults
+ */
+async function writeNdjson(batchId, stream, options) {
+  for await (const result of queue.iterateBatchResults(batchId, options)) {
+    await write(stream, `${JSON.stringify(result)}\n`);
+  }
+}
+
+/**
+ * Stream a batch as a JSON array
+ * @param {string} batchId - Batch identifier
+ * @param {Writable} stream - Destination stream
+ * @param {object} options - Iteration options passed to queue.iterateBatchResults
+ */
+async function writeJson(batchId, stream, options) {
+  let first = true;
+
+  await write(stream, '[');
+  for await (const result of queue.iterateBatchResults(batchId, options)) {
+    await write(stream, `${first ? '' : ','}\n${JSON.stringify(result)}`);
+    first = false;
+  }
+  await write(stream, '\n]\n');
+}
+
+/**
+ * Stream every stored result for a batch to a writable stream
+ *
+ * @param {string} batchId - Batch identifier
+ * @param {'csv'|'ndjson'|'json'} format - Export format
+ * @param {Writable} stream - Destination stream (e.g. an Express response)
+ * @param {object} options - Optional filters
+ * @param {'completed'|'failed'} options.status - Only export results with this status
+ */
+async function writeBatchExport(batchId, format, stream, options = {}) {
+  const writers = { csv: writeCsv, ndjson: writeNdjson, json: writeJson };
+  const writer = writers[format];
+
+  if (!writer) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  await writer(batchId, stream, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenObject,
+  writeBatchExport
+};
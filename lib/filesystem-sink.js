@@ -0,0 +1,344 @@
+/**
+ * Filesystem Sink - Result sink that keeps each batch as files on local disk
+ *
+ * One directory per batch under RESULT_SINK_DIR:
+ * - {batchId}/batch.json             {batchId, tool, clientId, scheduleId, createdAt, retentionDays, expiresAt,
+ *                                     status, counts}
+ * - {batchId}/results.ndjson         one {resultId, score, result} line per stored result, in write order
+ * - {batchId}/results.sorted.ndjson  one result per line in batch order, written when the batch finishes
+ *
+ * Results are only ever appended while a batch runs; a result written twice (e.g. a retried row) is
+ * read back as its latest line. Finishing a batch compacts its results into batch order, so reads
+ * after that stream one file front to back. Reads never hold more than a page of results in memory.
+ * See lib/result-sink.js for the sink interface.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const logger = require('./logger');
+
+// Batch IDs come from URLs on reads, so anything that is not a plain ID never touches the disk
+const BATCH_ID_PATTERN = /^[\w-]+$/;
+
+const RAW_FILE = 'results.ndjson';
+const SORTED_FILE = 'results.sorted.ndjson';
+
+/**
+ * Check whether a file exists
+ * @param {string} file - File path
+ * @returns {Promise<boolean>}
+ */
+async function exists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Stream a file's lines
+ * @param {string} file - File path
+ * @yields {string} - Each line, empty ones included so callers can track byte offsets
+ */
+async function* readLines(file) {
+  const input = fs.createReadStream(file, 'utf8');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    yield* lines;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Check a result against a status filter
+ * @param {object} result - Stored result
+ * @param {'completed'|'failed'} status - Status filter (optional)
+ * @returns {boolean}
+ */
+function matchesStatus(result, status) {
+  return !status || (result.status === 'failed' ? 'failed' : 'completed') === status;
+}
+
+/**
+ * Create a filesystem sink
+ * @param {object} options - Sink options
+ * @param {string} options.dir - Directory holding one subdirectory per batch
+ * @returns {object} - Result sink
+ */
+function createFilesystemSink({ dir }) {
+  /**
+   * Get the path of a file in a batch's directory
+   * @param {string} batchId - Batch identifier
+   * @param {string} file - File name
+   * @returns {string|null} - null for IDs that are not plain batch IDs
+   */
+  function batchFile(batchId, file) {
+    return BATCH_ID_PATTERN.test(batchId) ? path.join(dir, batchId, file) : null;
+  }
+
+  /**
+   * Replace a batch's metadata file (written to a temp file first so readers never see half of it)
+   * @param {string} batchId - Batch identifier
+   * @param {object} meta - Batch metadata
+   */
+  async function writeMeta(batchId, meta) {
+    const file = batchFile(batchId, 'batch.json');
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(meta));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Start keeping a batch
+   * @param {string} batchId - Batch identifier
+   * @param {object} meta - {tool, clientId, scheduleId, createdAt, retentionDays, expiresAt}
+   */
+  async function openBatch(batchId, meta) {
+    await fs.promises.mkdir(path.join(dir, batchId), { recursive: true });
+    await writeMeta(batchId, { batchId, ...meta, status: null });
+  }
+
+  /**
+   * Append a result to a kept batch
+   * @param {string} batchId - Batch identifier
+   * @param {string} resultId - Result ID, as for queue.storeResult
+   * @param {object} result - Stored result
+   * @param {number} score - Position in the batch's results
+   * @returns {Promise<boolean>} - false if the batch is not kept
+   */
+  async function writeResult(batchId, resultId, result, score) {
+    const file = batchFile(batchId, RAW_FILE);
+    if (!file) return false;
+
+    try {
+      await fs.promises.appendFile(file, JSON.stringify({ resultId, score, result }) + '\n');
+      return true;
+    } catch (error) {
+      // Batches created with retentionDays 0 (or before the sink was enabled) have no directory
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Read a kept batch's metadata
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object|null>} - null if the batch is not kept
+   */
+  async function getBatch(batchId) {
+    const file = batchFile(batchId, 'batch.json');
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite a batch's results in batch order, keeping the latest write of each
+   * Only offsets and scores are held in memory; each result is read back from disk as it is written out.
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<{total: number, completed: number, failed: number}>} - Result counts
+   */
+  async function compact(batchId) {
+    const raw = batchFile(batchId, RAW_FILE);
+    const sorted = batchFile(batchId, SORTED_FILE);
+    const latest = new Map();
+
+    if (await exists(raw)) {
+      let offset = 0;
+      for await (const line of readLines(raw)) {
+        const length = Buffer.byteLength(line);
+        if (line) {
+          const { resultId, score, result } = JSON.parse(line);
+          latest.set(resultId, { score, offset, length, failed: result.status === 'failed' });
+        }
+        offset += length + 1;
+      }
+    }
+
+    const entries = [...latest.values()].sort((a, b) => a.score - b.score);
+    const output = fs.createWriteStream(`${sorted}.tmp`);
+    const handle = entries.length > 0 ? await fs.promises.open(raw, 'r') : null;
+
+    try {
+      for (const entry of entries) {
+        const buffer = Buffer.alloc(entry.length);
+        await handle.read(buffer, 0, entry.length, entry.offset);
+        const { result } = JSON.parse(buffer.toString('utf8'));
+        if (!output.write(JSON.stringify(result) + '\n')) {
+          await once(output, 'drain');
+        }
+      }
+      output.end();
+      await once(output, 'finish');
+    } finally {
+      output.destroy();
+      await handle?.close();
+    }
+
+    await fs.promises.rename(`${sorted}.tmp`, sorted);
+    await fs.promises.rm(raw, { force: true });
+
+    const failed = entries.filter(entry => entry.failed).length;
+    return { total: entries.length, completed: entries.length - failed, failed };
+  }
+
+  /**
+   * Store a kept batch's final status, compact its results and restart its retention from now
+   * @param {string} batchId - Batch identifier
+   * @param {object} status - Batch status from queue.getBatchStatus
+   * @param {string} expiresAt - ISO time the batch may be removed
+   * @returns {Promise<boolean>} - false if the batch is not kept
+   */
+  async function closeBatch(batchId, status, expiresAt) {
+    const meta = await getBatch(batchId);
+    if (!meta) return false;
+
+    const counts = await compact(batchId);
+    await writeMeta(batchId, { ...meta, status, expiresAt, counts });
+    return true;
+  }
+
+  /**
+   * Stream a kept batch's results
+   * Finished batches are read in batch order; a batch still running is read in write order, with a first
+   * pass over the file to find each result's latest write.
+   * @param {string} batchId - Batch identifier
+   * @yields {object} - Stored result
+   */
+  async function* readEntries(batchId) {
+    const sorted = batchFile(batchId, SORTED_FILE);
+    if (!sorted) return;
+
+    if (await exists(sorted)) {
+      for await (const line of readLines(sorted)) {
+        if (line) yield JSON.parse(line);
+      }
+      return;
+    }
+
+    const raw = batchFile(batchId, RAW_FILE);
+    if (!(await exists(raw))) return;
+
+    const latestLine = new Map();
+    let lineNumber = 0;
+    for await (const line of readLines(raw)) {
+      if (line) latestLine.set(JSON.parse(line).resultId, lineNumber);
+      lineNumber++;
+    }
+
+    // Lines appended after the first pass are left for the next read
+    lineNumber = 0;
+    for await (const line of readLines(raw)) {
+      if (line) {
+        const { resultId, result } = JSON.parse(line);
+        if (latestLine.get(resultId) === lineNumber) yield result;
+      }
+      lineNumber++;
+    }
+  }
+
+  /**
+   * Stream a kept batch's results, optionally filtered and from an offset
+   * @param {string} batchId - Batch identifier
+   * @param {object} options - Read options
+   * @param {'completed'|'failed'} options.status - Only yield results with this status
+   * @param {number} options.offset - Number of matching results to skip (default: 0)
+   * @yields {object} - Stored result
+   */
+  async function* iterateResults(batchId, { status, offset = 0 } = {}) {
+    let skipped = 0;
+
+    for await (const result of readEntries(batchId)) {
+      if (!matchesStatus(result, status)) continue;
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      yield result;
+    }
+  }
+
+  /**
+   * Read one page of a kept batch's results
+   * @param {string} batchId - Batch identifier
+   * @param {object} options - Page options
+   * @param {number} options.offset - Number of matching results to skip (default: 0)
+   * @param {number} options.limit - Max results to return (default: 100)
+   * @param {'completed'|'failed'} options.status - Only return results with this status
+   * @returns {Promise<{results: object[], total: number}|null>} - null if the batch is not kept
+   */
+  async function readResults(batchId, { offset = 0, limit = 100, status } = {}) {
+    const meta = await getBatch(batchId);
+    if (!meta) return null;
+
+    const results = [];
+    let total = 0;
+    for await (const result of iterateResults(batchId, { status })) {
+      if (total >= offset && results.length < limit) {
+        results.push(result);
+      }
+      total++;
+
+      // Finished batches know their counts, so the read can stop once the page is full
+      if (meta.counts && results.length === limit) break;
+    }
+
+    return { results, total: meta.counts ? meta.counts[status || 'total'] : total };
+  }
+
+  /**
+   * Remove every batch whose retention has run out
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Batches removed
+   */
+  async function removeExpired(now = new Date()) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const meta = await getBatch(entry.name);
+      if (meta && new Date(meta.expiresAt) <= now) {
+        await fs.promises.rm(path.join(dir, entry.name), { recursive: true, force: true });
+        logger.info('Kept batch expired', { batchId: entry.name, retentionDays: meta.retentionDays });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  return {
+    name: 'filesystem',
+    openBatch,
+    writeResult,
+    closeBatch,
+    getBatch,
+    readResults,
+    iterateResults,
+    removeExpired
+  };
+}
+
+module.exports = {
+  createFilesystemSink
+};
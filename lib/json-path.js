@@ -0,0 +1,136 @@
+/**
+ * JSON Path - Small JSONPath subset for picking values out of AnySite responses
+ *
+ * Supported syntax (the leading `$` is optional, so plain dot paths work too):
+ * - $              the whole value
+ * - .name, ['name'] an object key
+ * - [0], [-1]      an array index (negative counts from the end)
+ * - .*, [*]        every array item or object value
+ *
+ * Examples: `$.posts[*].urn`, `reactions[*].actor.url`, `data['first name']`, `experience[0].company`
+ */
+
+const WILDCARD = { wildcard: true };
+
+/**
+ * Parse a path into its segments
+ * @param {string} path - Path expression
+ * @returns {Array<{key: string}|{index: number}|{wildcard: true}>}
+ * @throws {Error} If the path is not valid
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('Path must be a non-empty string');
+  }
+
+  let rest = path.trim();
+  if (rest.startsWith('$')) {
+    rest = rest.slice(1);
+  } else if (!rest.startsWith('.') && !rest.startsWith('[')) {
+    rest = `.${rest}`;
+  }
+
+  const segments = [];
+  const token = /^(?:\.\*|\.([^.[\]]+)|\[\*\]|\[(-?\d+)\]|\['([^']*)'\]|\["([^"]*)"\])/;
+
+  while (rest.length > 0) {
+    const match = token.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid path "${path}" at "${rest}"`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push({ key: match[1] });
+    } else if (match[2] !== undefined) {
+      segments.push({ index: parseInt(match[2], 10) });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      segments.push({ key: match[3] ?? match[4] });
+    } else {
+      segments.push(WILDCARD);
+    }
+
+    rest = rest.slice(match[0].length);
+  }
+
+  return segments;
+}
+
+/**
+ * Check whether a path expression is valid
+ * @param {string} path - Path expression
+ * @returns {boolean}
+ */
+function isValidPath(path) {
+  try {
+    parsePath(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply one segment to a set of values
+ * @param {Array} values - Current matches
+ * @param {object} segment - Parsed segment
+ * @returns {Array} - Next matches (values the segment does not apply to are dropped)
+ */
+function step(values, segment) {
+  const next = [];
+
+  for (const value of values) {
+    if (value === null || typeof value !== 'object') continue;
+
+    if (segment.wildcard) {
+      next.push(...(Array.isArray(value) ? value : Object.values(value)));
+    } else if (segment.index !== undefined) {
+      if (!Array.isArray(value)) continue;
+      const index = segment.index < 0 ? value.length + segment.index : segment.index;
+      if (index >= 0 && index < value.length) next.push(value[index]);
+    } else if (Object.prototype.hasOwnProperty.call(value, segment.key)) {
+      next.push(value[segment.key]);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Get every value a path matches
+ * @param {*} data - Value to search
+ * @param {string} path - Path expression
+ * @returns {Array} - Matches in document order (empty if nothing matches)
+ */
+function query(data, path) {
+  return parsePath(path).reduce(step, [data]);
+}
+
+/**
+ * Get the first value a path matches
+ * @param {*} data - Value to search
+ * @param {string} path - Path expression
+ * @returns {*} - First match, or undefined
+ */
+function getValue(data, path) {
+  return query(data, path)[0];
+}
+
+/**
+ * Get the items a path points at: the elements of the one array it matches, or every match of a
+ * wildcard path - so `$.data` and `$.data[*]` give the same items
+ * @param {*} data - Value to search
+ * @param {string} path - Path expression
+ * @returns {Array}
+ */
+function queryItems(data, path) {
+  const matches = query(data, path);
+  return matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+}
+
+module.exports = {
+  parsePath,
+  isValidPath,
+  query,
+  queryItems,
+  getValue
+};
@@ -0,0 +1,356 @@
+/**
+ * Param Normalizers - Canonicalize platform identifiers before they are queued
+ *
+ * Clay sends the same profile in many shapes: URLs with tracking query strings, http:// vs
+ * https://www., country subdomains, bare handles, `@user`, `/r/sub`. Each normalizer maps an
+ * input to one canonical form so equivalent records share cache entries and collapse into one
+ * job, and returns null when the value cannot be an identifier for that platform.
+ *
+ * Tools opt in per param with `normalize` in TOOL_REGISTRY.
+ */
+
+/**
+ * Get the path segments of a URL on one of a platform's domains
+ * Values without a scheme count as URLs only when they start with the platform's domain.
+ * @param {string} value - Raw input
+ * @param {string[]} domains - Platform domains (subdomains such as www. or uk. are allowed)
+ * @returns {string[]|null|undefined} - Decoded path segments, null for a URL on another site
+ *   or an unparseable URL, undefined if the value is not a URL at all
+ */
+function getUrlPath(value, domains) {
+  const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+  const host = value.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split(/[/?#]/)[0].toLowerCase();
+  const onPlatform = domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+  if (!hasScheme && !onPlatform) {
+    return undefined;
+  }
+  if (!onPlatform) {
+    return null;
+  }
+
+  try {
+    const url = new URL(hasScheme ? value : `https://${value}`);
+    return url.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Attach the description used in validation errors to a normalizer
+ * @param {string} label - What the value should be, e.g. 'LinkedIn profile URL or alias'
+ * @param {function(*): string|null} normalize - Normalizer
+ * @returns {function(*): string|null}
+ */
+function withLabel(label, normalize) {
+  normalize.label = label;
+  return normalize;
+}
+
+/**
+ * Build a normalizer for identifiers that are either a URN, a profile-style URL or a bare handle
+ *
+ * @param {object} spec - Platform rules
+ * @param {string[]} spec.domains - Platform domains
+ * @param {RegExp} spec.urn - Pattern for URNs/IDs passed through unchanged
+ * @param {function(string[]): string|null} spec.fromPath - Extract the handle from URL path segments
+ * @param {RegExp} spec.prefix - Prefix stripped from bare handles (default: @)
+ * @param {RegExp} spec.handle - Pattern a decoded handle must match
+ * @param {function(string): string} spec.toCanonical - Build the canonical form from a handle
+ * @param {string} spec.label - What the value should be, for error messages
+ * @returns {function(*): string|null}
+ */
+function identifierNormalizer(spec) {
+  return withLabel(spec.label, (input) => {
+    if (typeof input !== 'string') {
+      return null;
+    }
+
+    const value = input.trim();
+    if (spec.urn && spec.urn.test(value)) {
+      return value;
+    }
+
+    const path = getUrlPath(value, spec.domains);
+    if (path === null) {
+      return null;
+    }
+
+    // Bare handles may arrive percent-encoded, like URL path segments
+    let handle;
+    try {
+      handle = path === undefined ? decodeURIComponent(value.replace(spec.prefix || /^@/, '')) : spec.fromPath(path);
+    } catch (error) {
+      return null;
+    }
+    if (!handle || !spec.handle.test(handle)) {
+      return null;
+    }
+
+    return spec.toCanonical(handle);
+  });
+}
+
+// =============================================================================
+// LinkedIn
+// =============================================================================
+
+const LINKEDIN_DOMAINS = ['linkedin.com'];
+
+// Public profile aliases; also covers bare profile IDs such as ACoAA...
+const LINKEDIN_ALIAS = /^[\p{L}\p{N}_-]{2,100}$/u;
+
+// Profile IDs are case-sensitive, unlike aliases
+const LINKEDIN_PROFILE_ID = /^ACo[A-Za-z0-9_-]{20,}$/;
+
+const linkedinUser = identifierNormalizer({
+  label: 'LinkedIn profile URL, alias or URN',
+  domains: LINKEDIN_DOMAINS,
+  urn: /^urn:li:(fsd_profile|member|person):[\w-]+$/,
+  fromPath: path => (path[0] === 'in' ? path[1] : null),
+  handle: LINKEDIN_ALIAS,
+  toCanonical: alias => `https://www.linkedin.com/in/${encodeURIComponent(
+    LINKEDIN_PROFILE_ID.test(alias) ? alias : alias.toLowerCase()
+  )}`
+});
+
+const linkedinCompany = identifierNormalizer({
+  label: 'LinkedIn company URL, slug or URN',
+  domains: LINKEDIN_DOMAINS,
+  urn: /^urn:li:(company|organization|fsd_company):\d+$/,
+  fromPath: path => (['company', 'school', 'showcase'].includes(path[0]) ? path[1] : null),
+  handle: /^[\p{L}\p{N}_.&-]{1,100}$/u,
+  toCanonical: slug => `https://www.linkedin.com/company/${encodeURIComponent(slug)}`
+});
+
+const linkedinGroup = identifierNormalizer({
+  label: 'LinkedIn group URL, ID or URN',
+  domains: LINKEDIN_DOMAINS,
+  urn: /^urn:li:group:\d+$/,
+  fromPath: path => (path[0] === 'groups' ? path[1] : null),
+  handle: /^\d+$/,
+  toCanonical: id => `https://www.linkedin.com/groups/${id}`
+});
+
+/**
+ * Normalize a LinkedIn post reference to its URN
+ * Accepts URNs, feed/update URLs, /posts/ URLs (which embed the activity ID) and bare activity IDs.
+ * @param {*} input - Raw input
+ * @returns {string|null}
+ */
+function linkedinPost(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+  const urnPattern = /urn:li:(activity|ugcPost|share):(\d+)/;
+
+  if (/^\d{10,}$/.test(value)) {
+    return `urn:li:activity:${value}`;
+  }
+
+  const path = getUrlPath(value, LINKEDIN_DOMAINS);
+  if (path === undefined) {
+    return /^urn:li:(activity|ugcPost|share):\d+$/.test(value) ? value : null;
+  }
+  if (path === null) {
+    return null;
+  }
+
+  const joined = path.join('/');
+  const urn = urnPattern.exec(joined);
+  if (urn) {
+    return urn[0];
+  }
+
+  // /posts/jane-doe_some-title-activity-7123456789012345678-AbCd
+  const embedded = /-(activity|ugcPost|share)-(\d+)/.exec(joined);
+  return embedded ? `urn:li:${embedded[1]}:${embedded[2]}` : null;
+}
+withLabel('LinkedIn post URL or URN', linkedinPost);
+
+// =============================================================================
+// Instagram
+// =============================================================================
+
+const INSTAGRAM_DOMAINS = ['instagram.com', 'instagr.am'];
+
+// Paths under instagram.com that are not usernames
+const INSTAGRAM_RESERVED = ['p', 'reel', 'reels', 'tv', 'explore', 'stories', 'accounts', 'direct'];
+
+const instagramUser = identifierNormalizer({
+  label: 'Instagram profile URL or username',
+  domains: INSTAGRAM_DOMAINS,
+  fromPath: path => (INSTAGRAM_RESERVED.includes(path[0]) ? null : path[0]),
+  handle: /^[A-Za-z0-9._]{1,30}$/,
+  toCanonical: username => `https://www.instagram.com/${username.toLowerCase()}`
+});
+
+/**
+ * Normalize an Instagram post reference
+ * Post, reel and TV URLs (optionally under a username) become the /p/{shortcode} URL;
+ * bare shortcodes and numeric media IDs are kept as they are.
+ * @param {*} input - Raw input
+ * @returns {string|null}
+ */
+function instagramPost(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+  const path = getUrlPath(value, INSTAGRAM_DOMAINS);
+
+  if (path === undefined) {
+    return /^[A-Za-z0-9_-]{5,}$/.test(value) ? value : null;
+  }
+  if (path === null) {
+    return null;
+  }
+
+  const index = path.findIndex(segment => ['p', 'reel', 'reels', 'tv'].includes(segment));
+  const shortcode = index === -1 ? null : path[index + 1];
+  return shortcode && /^[A-Za-z0-9_-]+$/.test(shortcode)
+    ? `https://www.instagram.com/p/${shortcode}`
+    : null;
+}
+withLabel('Instagram post URL, shortcode or ID', instagramPost);
+
+// =============================================================================
+// Twitter / X
+// =============================================================================
+
+const TWITTER_DOMAINS = ['x.com', 'twitter.com'];
+
+// Paths under x.com that are not handles
+const TWITTER_RESERVED = ['i', 'home', 'search', 'explore', 'hashtag', 'intent', 'share'];
+
+// Tabs of a profile page; any other path under a handle (e.g. /status/{id}) is not the profile
+const TWITTER_PROFILE_TABS = [
+  'with_replies', 'media', 'likes', 'highlights', 'articles', 'followers', 'following', 'verified_followers'
+];
+
+const twitterUser = identifierNormalizer({
+  label: 'Twitter/X profile URL or handle',
+  domains: TWITTER_DOMAINS,
+  fromPath: ([handle, tab, ...rest]) => (
+    TWITTER_RESERVED.includes(handle) || rest.length > 0 || (tab && !TWITTER_PROFILE_TABS.includes(tab)) ? null : handle
+  ),
+  handle: /^[A-Za-z0-9_]{1,15}$/,
+  toCanonical: handle => `https://x.com/${handle.toLowerCase()}`
+});
+
+/**
+ * Normalize a Twitter/X post reference to its status URL
+ * @param {*} input - Raw input: status URL on x.com or twitter.com, or a bare tweet ID
+ * @returns {string|null}
+ */
+function twitterPost(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+  const path = getUrlPath(value, TWITTER_DOMAINS);
+
+  let id = null;
+  if (path === undefined) {
+    id = value;
+  } else if (path) {
+    const index = path.indexOf('status');
+    id = index === -1 ? null : path[index + 1];
+  }
+
+  return id && /^\d{1,20}$/.test(id) ? `https://x.com/i/status/${id}` : null;
+}
+withLabel('Twitter/X status URL or ID', twitterPost);
+
+// =============================================================================
+// Reddit
+// =============================================================================
+
+const REDDIT_DOMAINS = ['reddit.com'];
+
+const redditUser = identifierNormalizer({
+  label: 'Reddit user URL or username',
+  domains: REDDIT_DOMAINS,
+  fromPath: path => (['user', 'u'].includes(path[0]) ? path[1] : null),
+  prefix: /^\/?u(ser)?\//i,
+  handle: /^[A-Za-z0-9_-]{3,20}$/,
+  toCanonical: username => `https://www.reddit.com/user/${username}`
+});
+
+/**
+ * Normalize a subreddit reference to its bare name
+ * Accepts `sub`, `r/sub`, `/r/sub` and subreddit URLs.
+ * @param {*} input - Raw input
+ * @returns {string|null}
+ */
+function redditSubreddit(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+  const path = getUrlPath(value, REDDIT_DOMAINS);
+
+  let name = null;
+  if (path === undefined) {
+    name = value.replace(/^\/?r\//i, '').replace(/\/$/, '');
+  } else if (path && path[0] === 'r') {
+    name = path[1];
+  }
+
+  return name && /^[A-Za-z0-9_]{2,21}$/.test(name) ? name.toLowerCase() : null;
+}
+withLabel('subreddit name or URL', redditSubreddit);
+
+/**
+ * Normalize a Reddit post URL, dropping the title slug, query string and old./www. differences
+ * @param {*} input - Raw input: reddit.com comments URL or redd.it short link
+ * @returns {string|null}
+ */
+function redditPostUrl(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+
+  const shortPath = getUrlPath(value, ['redd.it']);
+  if (shortPath && /^[a-z0-9]+$/i.test(shortPath[0] || '')) {
+    return `https://www.reddit.com/comments/${shortPath[0].toLowerCase()}`;
+  }
+
+  const path = getUrlPath(value, REDDIT_DOMAINS);
+  if (!path) {
+    return null;
+  }
+
+  const index = path.indexOf('comments');
+  const id = index === -1 ? null : path[index + 1];
+  if (!id || !/^[a-z0-9]+$/i.test(id)) {
+    return null;
+  }
+
+  const subreddit = path[0] === 'r' && index === 2 ? `r/${path[1].toLowerCase()}/` : '';
+  return `https://www.reddit.com/${subreddit}comments/${id.toLowerCase()}`;
+}
+withLabel('Reddit post URL', redditPostUrl);
+
+module.exports = {
+  getUrlPath,
+  linkedinUser,
+  linkedinCompany,
+  linkedinGroup,
+  linkedinPost,
+  instagramUser,
+  instagramPost,
+  twitterUser,
+  twitterPost,
+  redditUser,
+  redditSubreddit,
+  redditPostUrl
+};
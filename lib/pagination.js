@@ -0,0 +1,161 @@
+/**
+ * Pagination - Fetch a large `count` as a chain of page jobs and merge the pages into one result
+ *
+ * Tools that declare `pagination` in TOOL_REGISTRY ask AnySite for at most `pageSize` items per
+ * call. When a page comes back with a cursor and more items are wanted, the worker queues the next
+ * page as its own job (so every page waits for a drip slot) instead of finishing the request. A
+ * response that is a bare list has no cursor and is the only page. The first page's job ID stays the
+ * request's ID: the last page stores the merged result and sends the callback under it. Pages are kept
+ * in Redis until the merged result is stored, so a retried last page still merges every page:
+ * - anysignals:job:{rootJobId}:pages   hash of page number -> AnySite response
+ *
+ * Job data of a page job carries `paging`: {rootJobId, page, cursor, fetched}.
+ */
+
+const queue = require('./queue');
+const { getTool } = require('./tool-registry');
+
+const PAGES_TTL_SECONDS = 48 * 3600;
+
+/**
+ * Get a tool's pagination settings
+ * @param {string} tool - Tool name
+ * @returns {object|null} - {cursorParam, cursorField, itemsField, pageSize, maxPages}, or null if the tool is not paginated
+ */
+function getPagination(tool) {
+  return getTool(tool)?.pagination || null;
+}
+
+/**
+ * Get the Redis key holding a request's fetched pages
+ * @param {string} rootJobId - ID of the request's first page job
+ * @returns {string}
+ */
+function pagesKey(rootJobId) {
+  return `anysignals:job:${rootJobId}:pages`;
+}
+
+/**
+ * Get the number of items a request asks for
+ * @param {object} pagination - Tool pagination settings
+ * @param {object} params - Request params
+ * @returns {number}
+ */
+function getWantedCount(pagination, params) {
+  return params.count || pagination.pageSize;
+}
+
+/**
+ * Get the params for the page a job fetches
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @param {object} paging - Job's paging state (absent on the first page)
+ * @returns {object} - Params for the AnySite call (unchanged for tools without pagination)
+ */
+function getPageParams(tool, params, paging) {
+  const pagination = getPagination(tool);
+  if (!pagination) {
+    return params;
+  }
+
+  const fetched = paging?.fetched || 0;
+  const pageParams = {
+    ...params,
+    count: Math.min(pagination.pageSize, getWantedCount(pagination, params) - fetched)
+  };
+  if (paging?.cursor) {
+    pageParams[pagination.cursorParam] = paging.cursor;
+  }
+
+  return pageParams;
+}
+
+/**
+ * Get the items of one page
+ * @param {object} pagination - Tool pagination settings
+ * @param {*} response - AnySite response for the page: {[itemsField], [cursorField]} or a bare list
+ * @returns {Array}
+ */
+function getPageItems(pagination, response) {
+  const items = pagination.itemsField && !Array.isArray(response) ? response?.[pagination.itemsField] : response;
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Merge a request's pages, in order, into the shape of a single response
+ * @param {object} pagination - Tool pagination settings
+ * @param {Array} pages - Page responses
+ * @param {number} wanted - Items asked for - the merged list is cut to this length
+ * @returns {*} - The item list, or the first page with every page's items and no cursor
+ */
+function mergePages(pagination, pages, wanted) {
+  const items = pages.flatMap(page => getPageItems(pagination, page)).slice(0, wanted);
+
+  if (!pagination.itemsField || Array.isArray(pages[0])) {
+    return items;
+  }
+
+  const merged = { ...pages[0], [pagination.itemsField]: items };
+  delete merged[pagination.cursorField];
+  return merged;
+}
+
+/**
+ * Record a fetched page and decide whether the request needs another one
+ * @param {Job} job - Job that fetched the page
+ * @param {*} response - AnySite response for the page
+ * @returns {Promise<{done: true, response: *}|{done: false, paging: object}>} - The merged response once
+ *   the last page is in, otherwise the paging state for the next page job
+ */
+async function recordPage(job, response) {
+  const { tool, params } = job.data;
+  const pagination = getPagination(tool);
+  const paging = job.data.paging || { rootJobId: job.id, page: 1, fetched: 0 };
+
+  const items = getPageItems(pagination, response);
+  const fetched = paging.fetched + items.length;
+  const wanted = getWantedCount(pagination, params);
+  const cursor = Array.isArray(response) ? null : response?.[pagination.cursorField];
+  const hasMore = Boolean(cursor) && items.length > 0 && fetched < wanted && paging.page < pagination.maxPages;
+
+  // A request answered by its first page has nothing to merge
+  if (paging.page === 1 && !hasMore) {
+    return { done: true, response };
+  }
+
+  // Keyed by page number, so a retried page job overwrites rather than duplicates its page
+  const redis = queue.getRedisConnection();
+  const key = pagesKey(paging.rootJobId);
+  await redis.hset(key, paging.page, JSON.stringify(response));
+  await redis.expire(key, PAGES_TTL_SECONDS);
+
+  if (hasMore) {
+    return { done: false, paging: { rootJobId: paging.rootJobId, page: paging.page + 1, cursor, fetched } };
+  }
+
+  // The pages stay until discardPages, once the merged result is stored
+  const stored = await redis.hgetall(key);
+
+  const pages = Object.keys(stored)
+    .sort((a, b) => a - b)
+    .map(page => JSON.parse(stored[page]));
+
+  return { done: true, response: mergePages(pagination, pages, wanted) };
+}
+
+/**
+ * Drop the pages collected for a request, once its merged result is stored or it failed for good
+ * @param {Job} job - Page job
+ */
+async function discardPages(job) {
+  if (job.data.paging) {
+    await queue.getRedisConnection().del(pagesKey(job.data.paging.rootJobId));
+  }
+}
+
+module.exports = {
+  getPagination,
+  getPageParams,
+  recordPage,
+  discardPages
+};
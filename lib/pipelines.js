@@ -0,0 +1,327 @@
+/**
+ * Pipelines - Chain tools so each step's rows are built from the previous step's results
+ *
+ * A pipeline is one batch whose records run through the first step's tool. When a row
+ * completes, the worker calls queueNextStep, which picks items out of the response with the
+ * step's `forEach` path, maps each item onto the next tool's params and queues them as new rows
+ * of the same batch (under the same drip limits). Row indexes keep growing past the input, so
+ * results, exports and totals cover every step. Definitions live in the batch hash
+ * (`pipeline`, `pipelineOptions` and the `maxRows` cap), plus:
+ * - anysignals:batch:{id}:nodes   hash of rowIndex -> {rowId, step, tool, parentRowIndex}
+ *
+ * Param mappings are JSON paths evaluated against the item when the value starts with `$`,
+ * and literal values otherwise, e.g. `{ "urn": "$.urn", "count": 50 }`.
+ */
+
+const logger = require('./logger');
+const queue = require('./queue');
+const jsonPath = require('./json-path');
+const { validateRecord } = require('./tool-registry');
+
+// Child rows queued per parent row when a step has no `limit`
+const DEFAULT_STEP_LIMIT = 100;
+
+// Rows a pipeline may grow to across all steps - later children are dropped and counted as truncated.
+// API clients are further held to their own max batch size.
+const MAX_PIPELINE_ROWS = parseInt(process.env.MAX_PIPELINE_ROWS, 10) || 10000;
+
+/**
+ * Get the Redis key for a pipeline's row tree
+ * @param {string} batchId - Batch identifier
+ * @returns {string}
+ */
+function nodesKey(batchId) {
+  return `anysignals:batch:${batchId}:nodes`;
+}
+
+/**
+ * Record rows in a pipeline's tree
+ * @param {string} batchId - Batch identifier
+ * @param {object[]} nodes - Rows ({rowIndex, rowId, step, tool, parentRowIndex})
+ */
+async function recordNodes(batchId, nodes) {
+  if (nodes.length === 0) return;
+
+  const redis = queue.getRedisConnection();
+  const fields = {};
+  for (const { rowIndex, ...node } of nodes) {
+    fields[rowIndex] = JSON.stringify(node);
+  }
+
+  await redis.hset(nodesKey(batchId), fields);
+  await redis.expire(nodesKey(batchId), 48 * 3600);
+}
+
+/**
+ * Start a pipeline - queue the first step's records as a new batch
+ * @param {string} batchId - Batch identifier
+ * @param {object[]} steps - Steps ({tool, forEach, params, limit, explode, projection}); the first step's params come from the records
+ * @param {object[]} records - Validated records for the first step
+ * @param {object} options - Batch settings, as for queue.addBatch (including `rejected`)
+ * @param {number} options.maxRows - Rows the pipeline may grow to (default and upper bound: MAX_PIPELINE_ROWS)
+ * @returns {Promise<{jobs: Job[], collapsed: number, attached: number}>}
+ */
+async function createPipeline(batchId, steps, records, options = {}) {
+  const { rejected = [], maxRows, ...batchOptions } = options;
+  const rejectedRowIds = new Map(rejected.map(row => [row.index, row.rowId]));
+
+  // Set before any row can complete and reserve rows against it
+  await queue.getRedisConnection().hset(
+    `anysignals:batch:${batchId}`, 'maxRows', Math.min(maxRows || MAX_PIPELINE_ROWS, MAX_PIPELINE_ROWS)
+  );
+
+  await recordNodes(batchId, records.map((record, index) => ({
+    rowIndex: index,
+    rowId: rejectedRowIds.has(index)
+      ? rejectedRowIds.get(index) ?? `${batchId}_${index}`
+      : record.rowId || `${batchId}_${index}`,
+    step: 0,
+    tool: steps[0].tool,
+    parentRowIndex: null
+  })));
+
+  return queue.addBatch(batchId, steps[0].tool, records, {
+    ...batchOptions,
+    rejected,
+    explode: steps[0].explode,
+    projection: steps[0].projection,
+    pipeline: steps
+  });
+}
+
+/**
+ * Build a step's params for one item from its mapping
+ * @param {object} mapping - Param name -> JSON path (`$...`) or literal value
+ * @param {*} item - Item picked from the previous step's response
+ * @returns {object} - Params; paths that match nothing are left out so required params are reported missing
+ */
+function mapParams(mapping, item) {
+  const params = {};
+
+  for (const [name, value] of Object.entries(mapping)) {
+    const mapped = typeof value === 'string' && value.startsWith('$')
+      ? jsonPath.getValue(item, value)
+      : value;
+    if (mapped !== undefined) {
+      params[name] = mapped;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Reserve row indexes for new rows of a batch, within the pipeline's row cap
+ * @param {string} batchId - Batch identifier
+ * @param {number} count - Rows wanted
+ * @param {number} maxRows - Pipeline's row cap
+ * @returns {Promise<{start: number, allowed: number}>} - First reserved index and how many rows fit
+ */
+async function reserveRows(batchId, count, maxRows) {
+  const redis = queue.getRedisConnection();
+  const batchKey = `anysignals:batch:${batchId}`;
+
+  // Growing the total before the parent row counts keeps the batch from finishing in between
+  const end = await redis.hincrby(batchKey, 'total', count);
+  const excess = Math.min(count, Math.max(0, end - maxRows));
+
+  if (excess > 0) {
+    await redis.hincrby(batchKey, 'total', -excess);
+    await redis.hincrby(batchKey, 'truncated', excess);
+  }
+
+  return { start: end - count, allowed: count - excess };
+}
+
+/**
+ * Count reserved rows that could not be queued as failed rows of their batch
+ * @param {string} batchId - Batch identifier
+ * @param {string} tool - Step's tool
+ * @param {string} clientId - API client that owns the batch
+ * @param {object[]} unqueued - Rows ({index, rowId}) that were reserved but not queued
+ * @param {Error} error - Why queueing failed
+ */
+async function failUnqueuedRows(batchId, tool, clientId, unqueued, error) {
+  if (unqueued.length === 0) return;
+
+  try {
+    await queue.getRedisConnection().hincrby(`anysignals:batch:${batchId}`, 'failed', unqueued.length);
+    await queue.storeRejectedRows(batchId, tool, clientId, unqueued.map(row => ({
+      ...row,
+      errors: [`Pipeline row could not be queued: ${error.message}`]
+    })));
+  } catch (settleError) {
+    logger.error('Failed to record unqueued pipeline rows', {
+      batchId,
+      rows: unqueued.length,
+      error: settleError.message
+    });
+  }
+}
+
+/**
+ * Queue the next step's rows for a completed pipeline row
+ * Rows whose mapped params fail the next tool's schema are stored as failed rows of the batch.
+ * Nothing is queued once the batch is cancelled; rows for a paused batch are held until it resumes.
+ *
+ * @param {object} rowData - Job data of the completed row (batchId, rowId, rowIndex, pipeline)
+ * @param {*} response - The row's AnySite response
+ * @returns {Promise<number>} - Rows added to the batch
+ */
+async function queueNextStep(rowData, response) {
+  const { batchId, rowId, rowIndex, clientId, pipeline } = rowData;
+  const redis = queue.getRedisConnection();
+
+  const [stepsJson, optionsJson, state, callbackSecret, maxRowsField] = await redis.hmget(
+    `anysignals:batch:${batchId}`, 'pipeline', 'pipelineOptions', 'state', 'callbackSecret', 'maxRows'
+  );
+  if (!stepsJson || state === 'cancelled') return 0;
+
+  const maxRows = parseInt(maxRowsField, 10) || MAX_PIPELINE_ROWS;
+
+  const steps = JSON.parse(stepsJson);
+  const stepIndex = pipeline.step + 1;
+  const step = steps[stepIndex];
+  if (!step) return 0;
+
+  const found = step.forEach ? jsonPath.query(response, step.forEach) : [response];
+  const items = found.slice(0, step.limit || DEFAULT_STEP_LIMIT);
+  if (items.length === 0) return 0;
+
+  const { start, allowed } = await reserveRows(batchId, items.length, maxRows);
+  if (allowed < items.length) {
+    logger.warn('Pipeline row limit reached', { batchId, rowId, dropped: items.length - allowed, maxRows });
+    if (allowed === 0) return 0;
+  }
+
+  const rows = [];
+  const rejected = [];
+  const nodes = [];
+
+  items.slice(0, allowed).forEach((item, index) => {
+    const child = { rowId: `${rowId}/${index}`, rowIndex: start + index };
+    const validated = validateRecord(step.tool, mapParams(step.params, item));
+
+    nodes.push({ ...child, step: stepIndex, tool: step.tool, parentRowIndex: rowIndex });
+
+    if (validated.errors.length > 0) {
+      rejected.push({ index: child.rowIndex, rowId: child.rowId, errors: validated.errors });
+    } else {
+      rows.push({
+        ...child,
+        params: validated.params,
+        pipeline: { step: stepIndex, parentRowId: rowId, parentRowIndex: rowIndex }
+      });
+    }
+  });
+
+  // Every reserved row is already in the batch's total - rows that are neither queued nor counted as failed
+  // when something below throws are failed here, or the batch could never finish
+  const batchKey = `anysignals:batch:${batchId}`;
+  let unsettled = [...rejected, ...rows.map(row => ({ index: row.rowIndex, rowId: row.rowId }))];
+
+  try {
+    await recordNodes(batchId, nodes);
+
+    if (rejected.length > 0) {
+      await redis.hincrby(batchKey, 'failed', rejected.length);
+      unsettled = unsettled.slice(rejected.length);
+      await redis.hincrby(batchKey, 'rejected', rejected.length);
+      await queue.storeRejectedRows(batchId, step.tool, clientId, rejected);
+    }
+
+    const { jobs } = await queue.queueBatchRows(batchId, step.tool, rows, {
+      ...JSON.parse(optionsJson),
+      callbackSecret,
+      explode: step.explode,
+      projection: step.projection,
+      hold: state === 'paused'
+    });
+    unsettled = [];
+
+    logger.info('Pipeline step queued', {
+      batchId,
+      parentRowId: rowId,
+      step: stepIndex,
+      tool: step.tool,
+      rows: rows.length,
+      jobs: jobs.length,
+      rejected: rejected.length
+    });
+  } catch (error) {
+    await failUnqueuedRows(batchId, step.tool, clientId, unsettled, error);
+    throw error;
+  }
+
+  return nodes.length;
+}
+
+/**
+ * Get a pipeline's progress per step and its rows as a tree
+ * Rows carry their status (completed, failed, or pending/cancelled until a result is stored) but not their
+ * data - use the batch's results or export for that.
+ *
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<{steps: object[], tree: object[], truncated: number}|null>} - null if the batch is not a pipeline
+ */
+async function getPipelineTree(batchId) {
+  const redis = queue.getRedisConnection();
+  const [stepsJson, state, truncated] = await redis.hmget(
+    `anysignals:batch:${batchId}`, 'pipeline', 'state', 'truncated'
+  );
+  if (!stepsJson) return null;
+
+  // Rows without a result never ran if the batch was cancelled
+  const unfinished = state === 'cancelled' ? 'cancelled' : 'pending';
+
+  const steps = JSON.parse(stepsJson).map((step, index) => ({
+    step: index,
+    tool: step.tool,
+    forEach: step.forEach || null,
+    total: 0,
+    completed: 0,
+    failed: 0,
+    pending: 0,
+    cancelled: 0
+  }));
+
+  const outcomes = new Map();
+  for await (const result of queue.iterateBatchResults(batchId)) {
+    outcomes.set(result.rowIndex, result);
+  }
+
+  const nodes = new Map();
+  for (const [rowIndex, json] of Object.entries(await redis.hgetall(nodesKey(batchId)))) {
+    const node = JSON.parse(json);
+    const result = outcomes.get(Number(rowIndex));
+    nodes.set(Number(rowIndex), {
+      rowIndex: Number(rowIndex),
+      rowId: node.rowId,
+      step: node.step,
+      tool: node.tool,
+      parentRowIndex: node.parentRowIndex,
+      status: result ? result.status : unfinished,
+      error: result?.error,
+      children: []
+    });
+  }
+
+  const tree = [];
+  for (const node of [...nodes.values()].sort((a, b) => a.rowIndex - b.rowIndex)) {
+    const summary = steps[node.step];
+    summary.total++;
+    summary[node.status]++;
+
+    const parent = nodes.get(node.parentRowIndex);
+    (parent ? parent.children : tree).push(node);
+  }
+
+  return { steps, tree, truncated: parseInt(truncated, 10) || 0 };
+}
+
+module.exports = {
+  DEFAULT_STEP_LIMIT,
+  createPipeline,
+  queueNextStep,
+  getPipelineTree
+};
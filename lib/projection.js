@@ -0,0 +1,185 @@
+/**
+ * Projection - Keep only the response fields a request asks for, under the names it wants
+ *
+ * A projection has `fields` (JSON or dot paths, each kept under its own path) and/or `mapping`
+ * (output name -> path). The worker projects each response before storing it, sending its callback
+ * and diffing it for change detection; the result cache keeps the full response. Paths with a wildcard
+ * give a list, other paths a single value (null when missing).
+ *
+ * Projections can be saved as presets per tool and referred to by name. Presets belong to the
+ * client that saved them; presets saved with the admin secret are shared with every client:
+ * - anysignals:presets:{clientId}   hash of `{tool}:{name}` -> {tool, name, fields, mapping, createdAt}
+ */
+
+const logger = require('./logger');
+const { getRedisConnection } = require('./queue');
+const jsonPath = require('./json-path');
+
+// Owner of presets saved with the admin secret
+const SHARED_OWNER = 'admin';
+
+// =============================================================================
+// Projection
+// =============================================================================
+
+/**
+ * Get the output name for a `fields` path
+ * @param {string} path - Path expression
+ * @returns {string} - The path without its leading `$` and dot, e.g. `experience[0].company`
+ */
+function getFieldName(path) {
+  return path.trim().replace(/^\$\.?/, '') || '$';
+}
+
+/**
+ * Pick a path's value out of a response
+ * @param {*} data - Response data
+ * @param {string} path - Path expression
+ * @returns {*} - Every match for wildcard paths, otherwise the first match or null
+ */
+function pick(data, path) {
+  const hasWildcard = jsonPath.parsePath(path).some(segment => segment.wildcard);
+  if (hasWildcard) {
+    return jsonPath.query(data, path);
+  }
+
+  const value = jsonPath.getValue(data, path);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Apply a projection to a response
+ * @param {*} data - Response data
+ * @param {object} projection - {fields, mapping}
+ * @param {string[]} projection.fields - Paths kept under their own name
+ * @param {object} projection.mapping - Output name -> path
+ * @returns {object}
+ */
+function project(data, projection) {
+  const output = {};
+
+  for (const path of projection.fields || []) {
+    output[getFieldName(path)] = pick(data, path);
+  }
+  for (const [name, path] of Object.entries(projection.mapping || {})) {
+    output[name] = pick(data, path);
+  }
+
+  return output;
+}
+
+/**
+ * Shape a response the way a row's client gets it back
+ * An exploded row's paths are relative to each item, so only its items are projected. Rows whose explode
+ * path matches nothing keep their single record rather than disappearing.
+ * @param {*} response - AnySite response data
+ * @param {object} options - Row options
+ * @param {string} options.explode - JSON path of the list split into one record per item
+ * @param {object} options.projection - {fields, mapping}
+ * @returns {{items: Array, output: *}} - The row's items (empty unless exploded) and its own data
+ */
+function projectRow(response, { explode, projection }) {
+  const found = explode ? jsonPath.queryItems(response, explode) : [];
+  const items = projection ? found.map(item => project(item, projection)) : found;
+  const output = projection && items.length === 0 ? project(response, projection) : response;
+  return { items, output };
+}
+
+// =============================================================================
+// Presets
+// =============================================================================
+
+/**
+ * Get the Redis key holding a client's presets
+ * @param {string} ownerId - Client ID, or SHARED_OWNER
+ * @returns {string}
+ */
+function presetsKey(ownerId) {
+  return `anysignals:presets:${ownerId}`;
+}
+
+/**
+ * Save a preset, replacing any preset of the same tool and name owned by the same client
+ * @param {string} ownerId - Client saving the preset
+ * @param {object} preset - {tool, name, fields, mapping}
+ * @returns {Promise<object>} - Saved preset
+ */
+async function savePreset(ownerId, { tool, name, fields, mapping }) {
+  const preset = { tool, name, fields, mapping, createdAt: new Date().toISOString() };
+
+  await getRedisConnection().hset(presetsKey(ownerId), `${tool}:${name}`, JSON.stringify(preset));
+
+  logger.info('Mapping preset saved', { tool, name, ownerId });
+
+  return { ...preset, shared: ownerId === SHARED_OWNER };
+}
+
+/**
+ * Find a preset a client can use - its own first, then a shared one
+ * @param {string} clientId - Requesting client
+ * @param {string} tool - Tool name
+ * @param {string} name - Preset name
+ * @returns {Promise<object|null>}
+ */
+async function getPreset(clientId, tool, name) {
+  const redis = getRedisConnection();
+  const owners = clientId === SHARED_OWNER ? [SHARED_OWNER] : [clientId, SHARED_OWNER];
+
+  for (const ownerId of owners) {
+    const json = await redis.hget(presetsKey(ownerId), `${tool}:${name}`);
+    if (json) {
+      return { ...JSON.parse(json), shared: ownerId === SHARED_OWNER };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the presets a client can use
+ * @param {string} clientId - Requesting client
+ * @param {string} tool - Only list presets for this tool (optional)
+ * @returns {Promise<object[]>} - Own presets first, then shared ones, each sorted by tool and name
+ */
+async function listPresets(clientId, tool) {
+  const redis = getRedisConnection();
+  const owners = clientId === SHARED_OWNER ? [SHARED_OWNER] : [clientId, SHARED_OWNER];
+  const presets = [];
+
+  for (const ownerId of owners) {
+    const hash = await redis.hgetall(presetsKey(ownerId));
+    const owned = Object.values(hash)
+      .map(json => ({ ...JSON.parse(json), shared: ownerId === SHARED_OWNER }))
+      .filter(preset => !tool || preset.tool === tool)
+      .sort((a, b) => `${a.tool}:${a.name}`.localeCompare(`${b.tool}:${b.name}`));
+    presets.push(...owned);
+  }
+
+  return presets;
+}
+
+/**
+ * Delete one of a client's presets
+ * @param {string} ownerId - Client that saved the preset
+ * @param {string} tool - Tool name
+ * @param {string} name - Preset name
+ * @returns {Promise<boolean>} - false if the client has no such preset
+ */
+async function deletePreset(ownerId, tool, name) {
+  const removed = await getRedisConnection().hdel(presetsKey(ownerId), `${tool}:${name}`);
+
+  if (removed) {
+    logger.info('Mapping preset deleted', { tool, name, ownerId });
+  }
+
+  return removed === 1;
+}
+
+module.exports = {
+  project,
+  projectRow,
+  savePreset,
+  getPreset,
+  listPresets,
+  deletePreset
+};
@@ -4,7 +4,17 @@
 
 const { Queue, QueueEvents } = require('bullmq');
 const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const {
+  DEFAULT_RATE_BUCKET,
+  getTool,
+  getToolRateBucket,
+  getRateLimit,
+  listRateBuckets,
+  getRequestKey
+} = require('./tool-registry');
+const { getResultSink, getRetentionDays, getExpiresAt } = require('./result-sink');
 
 // Redis connection (shared across queue and worker)
 let redisConnection = null;
@@ -36,128 +46,1243 @@ function getRedisConnection() {
   return redisConnection;
 }
 
-// Queue name constant
+// Queue name constant (the default rate bucket; other buckets get a suffixed queue)
 const QUEUE_NAME = 'anysignals:jobs';
 
-// Queue instance (singleton)
-let queueInstance = null;
+// Queue instances (one per rate bucket, plus the cache lane)
+const queueInstances = {};
+
+// Lane for jobs answered from the result cache - its worker has no limiter, so hits never wait for a drip slot
+const CACHE_LANE = 'cached';
+
+/**
+ * Get the queue name for a rate bucket
+ * @param {string} bucket - Rate bucket name
+ * @returns {string}
+ */
+function getQueueName(bucket = DEFAULT_RATE_BUCKET) {
+  return bucket === DEFAULT_RATE_BUCKET ? QUEUE_NAME : `${QUEUE_NAME}:${bucket}`;
+}
+
+/**
+ * Get or create the job queue for a rate bucket
+ * @param {string} bucket - Rate bucket name (default: the default bucket)
+ * @returns {Queue}
+ */
+function getQueue(bucket = DEFAULT_RATE_BUCKET) {
+  if (!queueInstances[bucket]) {
+    const queueInstance = new Queue(getQueueName(bucket), {
+      connection: getRedisConnection(),
+      defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000 // Start with 5 second delay, then 10s, then 20s
+        },
+        removeOnComplete: {
+          count: 1000, // Keep last 1000 completed jobs
+          age: 24 * 3600 // Keep completed jobs for 24 hours
+        },
+        removeOnFail: {
+          count: 500, // Keep last 500 failed jobs for debugging
+          age: 7 * 24 * 3600 // Keep failed jobs for 7 days
+        }
+      }
+    });
+
+    queueInstance.on('error', (err) => {
+      logger.error('Queue error', { error: err.message, bucket });
+    });
+
+    queueInstances[bucket] = queueInstance;
+  }
+  return queueInstances[bucket];
+}
+
+/**
+ * Generate a job ID that records the job's rate bucket
+ * Job IDs must be unique across every bucket queue, so they are `<bucket>-<random>`.
+ * @param {string} bucket - Rate bucket name
+ * @returns {string}
+ */
+function createJobId(bucket) {
+  return `${bucket}-${uuidv4().replace(/-/g, '').slice(0, 16)}`;
+}
+
+/**
+ * Get the rate bucket a job ID belongs to
+ * Numeric IDs predate rate buckets and belong to the default queue.
+ * @param {string} jobId - Job ID
+ * @returns {string}
+ */
+function getJobBucket(jobId) {
+  const bucket = String(jobId).split('-')[0];
+  return listRateBuckets().includes(bucket) || bucket === CACHE_LANE ? bucket : DEFAULT_RATE_BUCKET;
+}
+
+/**
+ * Get the average milliseconds between jobs for a rate bucket, using the live config
+ * @param {string} bucket - Rate bucket name
+ * @returns {Promise<number>}
+ */
+async function getBucketIntervalMs(bucket = DEFAULT_RATE_BUCKET) {
+  const { max, durationMs } = getRateLimit(bucket, await getRuntimeConfig());
+  return durationMs / max;
+}
+
+// =============================================================================
+// Runtime Config
+// =============================================================================
+//
+// Drip settings that can change without a restart. The server writes them, the worker polls
+// them, and every ETA reads them, so all processes agree on the current rate.
+
+const CONFIG_KEY = 'anysignals:config';
+
+/**
+ * Get the live drip configuration
+ * @returns {Promise<{dripIntervalMs: number, rateLimits: object, paused: boolean, updatedAt: string|null}>}
+ */
+async function getRuntimeConfig() {
+  const redis = getRedisConnection();
+  const config = await redis.hgetall(CONFIG_KEY);
+
+  return {
+    dripIntervalMs: parseInt(config.dripIntervalMs, 10) || parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000,
+    rateLimits: config.rateLimits ? JSON.parse(config.rateLimits) : {},
+    paused: config.paused === 'true',
+    updatedAt: config.updatedAt || null
+  };
+}
+
+/**
+ * Update the live drip configuration
+ *
+ * @param {object} changes - Fields to change
+ * @param {number} changes.dripIntervalMs - Ms between jobs for buckets without their own budget
+ * @param {object} changes.rateLimits - Per-bucket {max, durationMs} overrides (null removes an override)
+ * @param {boolean} changes.paused - Pause or resume every bucket queue
+ * @returns {Promise<object>} - Updated config
+ */
+async function updateRuntimeConfig(changes) {
+  const redis = getRedisConnection();
+  const current = await getRuntimeConfig();
+  const update = { updatedAt: new Date().toISOString() };
+
+  if (changes.dripIntervalMs !== undefined) {
+    update.dripIntervalMs = changes.dripIntervalMs;
+  }
+
+  if (changes.rateLimits !== undefined) {
+    const rateLimits = { ...current.rateLimits };
+    for (const [bucket, limit] of Object.entries(changes.rateLimits)) {
+      if (limit) {
+        rateLimits[bucket] = limit;
+      } else {
+        delete rateLimits[bucket];
+      }
+    }
+    update.rateLimits = JSON.stringify(rateLimits);
+  }
+
+  if (changes.paused !== undefined) {
+    // Pausing the queues stops every worker at once and survives worker restarts
+    const buckets = [...listRateBuckets(), CACHE_LANE];
+    await Promise.all(buckets.map(bucket =>
+      changes.paused ? getQueue(bucket).pause() : getQueue(bucket).resume()
+    ));
+    update.paused = String(changes.paused);
+  }
+
+  await redis.hset(CONFIG_KEY, update);
+
+  logger.info('Runtime config updated', changes);
+
+  return getRuntimeConfig();
+}
+
+// =============================================================================
+// Result Cache
+// =============================================================================
+//
+// Results are cached per client by request key (tool + normalized params) for the tool's cacheTtlSeconds.
+// Jobs answered from the cache carry only the entry's key as `cacheKey`; the worker reads the entry.
+// - anysignals:cache:{clientId}:{requestKey}   JSON {data, jobId, cachedAt}
+
+/**
+ * Get the cache key for a client's tool call
+ * @param {string} clientId - API client the result belongs to
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @returns {string}
+ */
+function getCacheKey(clientId, tool, params) {
+  return `anysignals:cache:${clientId || 'anonymous'}:${getRequestKey(tool, params)}`;
+}
+
+/**
+ * Find which of a client's records have a cached result
+ * @param {string} clientId - API client making the requests
+ * @param {string} tool - Tool name
+ * @param {object[]} records - Request params per record
+ * @returns {Promise<Array<string|null>>} - Cache key per record, or null on a miss
+ */
+async function findCachedResults(clientId, tool, records) {
+  if (!getTool(tool)?.cacheTtlSeconds || records.length === 0) {
+    return records.map(() => null);
+  }
+
+  const keys = records.map(record => getCacheKey(clientId, tool, record));
+  const found = await keysExist(keys);
+  return keys.map((key, index) => (found[index] ? key : null));
+}
+
+/**
+ * Check which keys exist
+ * @param {string[]} keys - Redis keys
+ * @returns {Promise<boolean[]>}
+ */
+async function keysExist(keys) {
+  const pipeline = getRedisConnection().pipeline();
+  for (const key of keys) {
+    pipeline.exists(key);
+  }
+  const replies = await pipeline.exec();
+  return replies.map(([error, count]) => !error && count > 0);
+}
+
+/**
+ * Read a cached result
+ * @param {string} cacheKey - Key from the job's `cacheKey`
+ * @returns {Promise<object|null>} - {data, jobId, cachedAt}, or null if it has expired
+ */
+async function readCachedResult(cacheKey) {
+  const entry = await getRedisConnection().get(cacheKey);
+  return entry ? JSON.parse(entry) : null;
+}
+
+/**
+ * Cache a fresh result for a client for the tool's cacheTtlSeconds
+ * @param {string} clientId - API client the result is cached for
+ * @param {string} tool - Tool name
+ * @param {object} params - Request params
+ * @param {*} data - Result data from AnySite
+ * @param {string} jobId - Job that produced the result
+ */
+async function cacheResult(clientId, tool, params, data, jobId) {
+  const ttl = getTool(tool)?.cacheTtlSeconds;
+  if (!ttl) {
+    return;
+  }
+
+  const redis = getRedisConnection();
+  await redis.setex(getCacheKey(clientId, tool, params), ttl, JSON.stringify({
+    data,
+    jobId,
+    cachedAt: new Date().toISOString()
+  }));
+}
+
+// =============================================================================
+// Fair Scheduling
+// =============================================================================
+//
+// All clients share each bucket's drip, so BullMQ priorities are used as virtual finish times
+// (weighted fair queuing). Each client has a lane per bucket; a job's priority is the lane's
+// finish time plus a step that shrinks with higher requested priority and larger client weight.
+// The worker advances the bucket's clock as it takes jobs, so a client that arrives late
+// starts at the current clock instead of behind another client's whole backlog. Virtual time
+// restarts when a bucket drains, and is shifted back by the lowest pending time once it grows
+// large, so a bucket that never drains stays below BullMQ's maximum priority.
+
+/**
+ * Get the fair scheduling keys for a rate bucket
+ * @param {string} bucket - Rate bucket name
+ * @returns {{clockKey: string, finishKey: string, rebaseLockKey: string}}
+ */
+function getFairKeys(bucket) {
+  return {
+    clockKey: `anysignals:fair:${bucket}:clock`,
+    finishKey: `anysignals:fair:${bucket}:finish`,
+    rebaseLockKey: `anysignals:fair:${bucket}:rebase-lock`
+  };
+}
+
+// BullMQ's maximum job priority (2^21)
+const MAX_PRIORITY = 2097152;
+
+// Virtual time is rebased once the clock passes this, long before priorities reach MAX_PRIORITY
+const REBASE_AT = MAX_PRIORITY / 2;
+
+// Base step for each job; requested priority stretches it by at most PRIORITY_SPREAD, so priority 1
+// gets at most that many times the share of priority 10 and never starves other lanes
+const BASE_STEP = 10;
+const PRIORITY_SPREAD = 2;
+
+// Reserve a run of virtual time in a client's lane and return {start, shift}. Before reserving, ARGV[4]
+// 'reset' restarts virtual time (the queue has drained) and 'rebase' moves the clock and every lane back
+// by ARGV[5] (at most the clock) - in the same script, so no other reservation is lost or left unshifted.
+// shift is how far virtual time moved back (0 unless rebased).
+const RESERVE_LANE_SCRIPT = `
+local shift = 0
+if ARGV[4] == 'reset' then
+  redis.call('DEL', KEYS[1], KEYS[2])
+elseif ARGV[4] == 'rebase' then
+  local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+  shift = math.min(tonumber(ARGV[5]), clock)
+  redis.call('SET', KEYS[1], clock - shift)
+  local lanes = redis.call('HGETALL', KEYS[2])
+  for i = 1, #lanes, 2 do
+    redis.call('HSET', KEYS[2], lanes[i], math.max(0, tonumber(lanes[i + 1]) - shift))
+  end
+end
+local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+local finish = tonumber(redis.call('HGET', KEYS[2], ARGV[1]) or '0')
+local start = math.max(clock, finish)
+redis.call('HSET', KEYS[2], ARGV[1], start + tonumber(ARGV[2]) * tonumber(ARGV[3]))
+return {start, shift}
+`;
+
+// Move the clock forward (never backwards) to the priority of the job being processed - except while a
+// rebase is moving pending jobs, when the job may still carry a priority from before it
+const ADVANCE_CLOCK_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  return 0
+end
+local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+if tonumber(ARGV[1]) > clock then
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Virtual time each job of a lane consumes
+ * @param {number} priority - Requested priority (1=high, 10=low)
+ * @param {number} weight - Client weight (default 1)
+ * @returns {number}
+ */
+function getFairStep(priority, weight = 1) {
+  const stretch = 1 + ((PRIORITY_SPREAD - 1) * (priority - 1)) / 9;
+  return Math.max(1, Math.round((BASE_STEP * stretch) / weight));
+}
+
+/**
+ * Decide how a reservation should move a bucket's virtual time first
+ * A busy bucket whose clock has grown large is rebased by its lowest pending time. One caller rebases at a
+ * time: it holds the rebase lock until the pending jobs it listed have been moved back too.
+ * @param {string} bucket - Rate bucket name
+ * @returns {Promise<{mode: 'reset'|'rebase'|'none', base: number, jobs: Job[]}>}
+ */
+async function planFairRebase(bucket) {
+  const redis = getRedisConnection();
+  const { clockKey, rebaseLockKey } = getFairKeys(bucket);
+
+  const stats = await getBucketStats(bucket);
+  if (stats.total === 0) {
+    return { mode: 'reset', base: 0, jobs: [] };
+  }
+
+  const clock = Number(await redis.get(clockKey)) || 0;
+  if (clock < REBASE_AT || await redis.set(rebaseLockKey, '1', 'EX', 300, 'NX') !== 'OK') {
+    return { mode: 'none', base: 0, jobs: [] };
+  }
+
+  const jobs = await getQueue(bucket).getJobs(['prioritized', 'delayed']);
+  const base = jobs.reduce((lowest, job) => Math.min(lowest, job.opts.priority || lowest), clock);
+  return { mode: 'rebase', base, jobs };
+}
+
+/**
+ * Move pending jobs back by the shift a rebase applied to virtual time, then release the rebase lock
+ * Waiting and delayed jobs are all moved by the same amount, so their order is kept.
+ * @param {string} bucket - Rate bucket name
+ * @param {Job[]} jobs - Jobs listed before the rebase
+ * @param {number} shift - How far virtual time moved back (0 when the reservation failed)
+ */
+async function finishFairRebase(bucket, jobs, shift) {
+  try {
+    if (shift > 0) {
+      for (const job of jobs) {
+        if (job.opts.priority) {
+          await job.changePriority({ priority: Math.max(1, job.opts.priority - shift) });
+        }
+      }
+      logger.info('Rebased fair scheduling time', { bucket, shift, jobs: jobs.length });
+    }
+  } finally {
+    await getRedisConnection().del(getFairKeys(bucket).rebaseLockKey);
+  }
+}
+
+/**
+ * Assign fair BullMQ priorities to a run of jobs from one client
+ * Virtual time restarts when the queue has drained and is rebased when it grows large while the queue is
+ * busy, so priorities stay below MAX_PRIORITY; both happen in the reservation's own script.
+ *
+ * @param {string} bucket - Rate bucket the jobs are queued in
+ * @param {string} clientId - Client lane
+ * @param {number} count - Number of jobs
+ * @param {number} priority - Requested priority (1=high, 10=low)
+ * @param {number} weight - Client weight (default 1)
+ * @returns {Promise<number[]>} - BullMQ priority for each job, in order
+ */
+async function assignFairPriorities(bucket, clientId, count, priority = 5, weight = 1) {
+  const redis = getRedisConnection();
+  const { clockKey, finishKey } = getFairKeys(bucket);
+  const plan = await planFairRebase(bucket);
+
+  const step = getFairStep(priority, weight);
+  let reserved;
+  try {
+    reserved = await redis.eval(
+      RESERVE_LANE_SCRIPT, 2, clockKey, finishKey, clientId || 'anonymous', count, step, plan.mode, plan.base
+    );
+  } finally {
+    if (plan.mode === 'rebase') {
+      await finishFairRebase(bucket, plan.jobs, reserved ? Number(reserved[1]) : 0);
+    }
+  }
+
+  const start = Number(reserved[0]);
+  return Array.from({ length: count }, (_, index) => Math.min(start + (index + 1) * step, MAX_PRIORITY));
+}
+
+/**
+ * Advance a bucket's fair scheduling clock to a job's priority (called by the worker)
+ * @param {string} bucket - Rate bucket of the job being processed
+ * @param {number} priority - BullMQ priority of the job being processed
+ */
+async function advanceFairClock(bucket, priority) {
+  if (!priority) return;
+
+  const { clockKey, rebaseLockKey } = getFairKeys(bucket);
+  await getRedisConnection().eval(ADVANCE_CLOCK_SCRIPT, 2, clockKey, rebaseLockKey, priority);
+}
+
+// =============================================================================
+// Duplicate Collapsing
+// =============================================================================
+//
+// Records with the same request key (tool + normalized params) share one job. Duplicates within a
+// batch ride along in the job's data as `duplicates`; rows from later batches can attach to a job
+// that has not started yet, and the worker fans the result out to all of them:
+// - anysignals:pending:{requestKey}     ID of the job that will make the request, until it starts
+// - anysignals:job:{jobId}:followers    list of job data attached from other batches
+// - anysignals:job:{jobId}:rows-done    set of result IDs the job has finished, so a retry skips them
+
+const PENDING_TTL_SECONDS = 48 * 3600;
+
+// Attach job data to the request's pending job, if there is one, and return that job's ID
+const ATTACH_FOLLOWER_SCRIPT = `
+local jobId = redis.call('GET', KEYS[1])
+if not jobId then
+  return false
+end
+local followersKey = ARGV[1] .. jobId .. ':followers'
+redis.call('RPUSH', followersKey, ARGV[2])
+redis.call('EXPIRE', followersKey, ARGV[3])
+return jobId
+`;
+
+// Forget the request's pending job, unless another job has taken its place since
+const RELEASE_PENDING_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('DEL', KEYS[1])
+end
+return 1
+`;
+
+/**
+ * Get the Redis key naming the pending job for a request
+ * @param {string} requestKey - Request key from getRequestKey
+ * @returns {string}
+ */
+function getPendingKey(requestKey) {
+  return `anysignals:pending:${requestKey}`;
+}
+
+/**
+ * Record new jobs as the pending job for their requests (first job wins)
+ * @param {object[]} jobs - Jobs for addBulk with opts.jobId set
+ */
+async function registerPendingJobs(jobs) {
+  const keyed = jobs.filter(job => job.data.requestKey);
+  if (keyed.length === 0) return;
+
+  const pipeline = getRedisConnection().pipeline();
+  for (const job of keyed) {
+    pipeline.set(getPendingKey(job.data.requestKey), job.opts.jobId, 'EX', PENDING_TTL_SECONDS, 'NX');
+  }
+  await pipeline.exec();
+}
+
+/**
+ * Attach jobs' data to pending jobs for the same requests instead of queueing them
+ * @param {object[]} jobs - Jobs for addBulk, with data.requestKey set
+ * @returns {Promise<Array<string|null>>} - ID of the job each was attached to, or null if none was pending
+ */
+async function attachToPendingJobs(jobs) {
+  if (jobs.length === 0) return [];
+
+  const pipeline = getRedisConnection().pipeline();
+  for (const job of jobs) {
+    pipeline.eval(
+      ATTACH_FOLLOWER_SCRIPT, 1, getPendingKey(job.data.requestKey),
+      'anysignals:job:', JSON.stringify(job.data), PENDING_TTL_SECONDS
+    );
+  }
+  const replies = await pipeline.exec();
+
+  return replies.map(([err, jobId]) => (err ? null : jobId));
+}
+
+/**
+ * Stop new rows attaching to a job (called by the worker when the job starts)
+ * @param {Job} job - BullMQ job
+ */
+async function releasePendingJob(job) {
+  if (!job.data.requestKey) return;
+
+  const redis = getRedisConnection();
+  await redis.eval(RELEASE_PENDING_SCRIPT, 1, getPendingKey(job.data.requestKey), job.id);
+}
+
+/**
+ * Get the job data attached to a job from other batches
+ * The list is kept until clearJobFollowers, so a job retried after a partial run still answers every row.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object[]>}
+ */
+async function getJobFollowers(jobId) {
+  const entries = await getRedisConnection().lrange(`anysignals:job:${jobId}:followers`, 0, -1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Forget a job's followers and finished rows once every row has its result
+ * @param {string} jobId - Job ID
+ */
+async function clearJobFollowers(jobId) {
+  await getRedisConnection().del(`anysignals:job:${jobId}:followers`, `anysignals:job:${jobId}:rows-done`);
+}
+
+/**
+ * Check whether a job already finished one of its rows (on an earlier attempt)
+ * @param {string} jobId - Job ID
+ * @param {string} resultId - Row's result ID
+ * @returns {Promise<boolean>}
+ */
+async function isRowDone(jobId, resultId) {
+  return (await getRedisConnection().sismember(`anysignals:job:${jobId}:rows-done`, resultId)) === 1;
+}
+
+/**
+ * Queue the rows attached to a job that was removed before it ran, each as a job of its own batch
+ * @param {Job} job - Removed BullMQ job
+ * @returns {Promise<number>} - Number of rows re-queued
+ */
+async function requeueFollowers(job) {
+  await releasePendingJob(job);
+  // Later pages of a paginated request keep their rows under the first page's job ID
+  const requestJobId = job.data.paging?.rootJobId || job.id;
+  const followers = await getJobFollowers(requestJobId);
+
+  for (const data of followers) {
+    const addedJobs = await enqueueJobs(getToolRateBucket(data.tool), [{ name: job.name, data }], {
+      clientId: data.clientId,
+      priority: data.requestedPriority,
+      weight: data.weight
+    });
+    await trackBatchJobs(data.batchId, addedJobs);
+  }
+
+  await clearJobFollowers(requestJobId);
+
+  return followers.length;
+}
+
+// =============================================================================
+// Jobs and Batches
+// =============================================================================
+
+/**
+ * Place prepared jobs in their queues - cache hits in the cache lane, the rest in the tool's bucket
+ * Cache entries are checked again here, so rows held by a paused batch whose entry has since expired
+ * go to the bucket instead.
+ * @param {string} bucket - Rate bucket of the tool
+ * @param {object[]} jobs - Jobs for addBulk; opts (e.g. a held job's jobId, attempts and delay) are kept, except
+ *   a jobId from the other lane, which is replaced so the ID still names the job's queue
+ * @param {object} lane - Fair scheduling lane for the bucket jobs
+ * @param {string} lane.clientId - API client that owns the jobs
+ * @param {number} lane.priority - Requested priority
+ * @param {number} lane.weight - Client weight
+ * @returns {Promise<Job[]>}
+ */
+async function enqueueJobs(bucket, jobs, lane) {
+  const cached = jobs.filter(job => job.data.cacheKey);
+  const live = await keysExist(cached.map(job => job.data.cacheKey));
+  for (const [index, job] of cached.entries()) {
+    if (!live[index]) delete job.data.cacheKey;
+  }
+
+  const hits = jobs.filter(job => job.data.cacheKey);
+  const misses = jobs.filter(job => !job.data.cacheKey);
+  const added = [];
+
+  if (misses.length > 0) {
+    const priorities = await assignFairPriorities(bucket, lane.clientId, misses.length, lane.priority, lane.weight);
+    const bulk = misses.map((job, index) => ({
+      ...job,
+      opts: { ...job.opts, jobId: laneJobId(job, bucket), priority: priorities[index] }
+    }));
+
+    // Registered before the jobs exist so a row attaching in between is never lost
+    await registerPendingJobs(bulk);
+    added.push(...await getQueue(bucket).addBulk(bulk));
+  }
+
+  if (hits.length > 0) {
+    added.push(...await getQueue(CACHE_LANE).addBulk(hits.map(job => ({
+      ...job,
+      opts: { ...job.opts, jobId: laneJobId(job, CACHE_LANE) }
+    }))));
+  }
+
+  return added;
+}
+
+/**
+ * Get the ID a job is added under - its own (a held job keeps the ID it was given) if it names the queue
+ * @param {object} job - Job for addBulk
+ * @param {string} bucket - Rate bucket or cache lane the job is added to
+ * @returns {string}
+ */
+function laneJobId(job, bucket) {
+  const jobId = job.opts?.jobId;
+  return jobId && getJobBucket(jobId) === bucket ? jobId : createJobId(bucket);
+}
+
+/**
+ * Get a job's attempts, counting those made before its batch was paused and resumed
+ * A held job is re-added with only its remaining attempts and the ones it used in `data.priorAttempts`.
+ * @param {Job} job - BullMQ job
+ * @returns {{attemptsMade: number, maxAttempts: number}}
+ */
+function getJobAttempts(job) {
+  const prior = job.data.priorAttempts || 0;
+  return { attemptsMade: prior + job.attemptsMade, maxAttempts: prior + job.opts.attempts };
+}
+
+/**
+ * Add a single job to the queue
+ * @param {object} jobData - Job data including tool, params, rowId, callbackUrl, batchId, clientId
+ * @param {object} options - Optional job options
+ * @param {number} options.priority - Requested priority, mapped onto the client's fair lane
+ * @param {number} options.weight - Client weight for fair scheduling (default 1)
+ * @param {'prefer'|'bypass'} options.cache - Answer from the client's result cache when possible, or always
+ *   call AnySite (default)
+ * @returns {Promise<Job>}
+ */
+async function addJob(jobData, options = {}) {
+  const { priority = 5, weight = 1, cache = 'bypass' } = options;
+  const bucket = getToolRateBucket(jobData.tool);
+
+  const [cacheKey] = cache === 'bypass'
+    ? [null]
+    : await findCachedResults(jobData.clientId, jobData.tool, [jobData.params]);
+
+  const data = { ...jobData, requestedPriority: priority, weight };
+  if (cacheKey) {
+    data.cacheKey = cacheKey;
+  }
+
+  const [job] = await enqueueJobs(bucket, [{ name: 'process-record', data }], {
+    clientId: jobData.clientId,
+    priority,
+    weight
+  });
+
+  logger.debug('Job added to queue', {
+    jobId: job.id,
+    tool: jobData.tool,
+    rowId: jobData.rowId,
+    cached: Boolean(cacheKey)
+  });
+  return job;
+}
+
+/**
+ * Queue the next page of a paginated request, right behind the page that asked for it
+ * @param {Job} job - Job that fetched the previous page
+ * @param {object} paging - Next page's paging state ({rootJobId, page, cursor, fetched})
+ * @returns {Promise<Job>}
+ */
+async function addPageJob(job, paging) {
+  const bucket = getToolRateBucket(job.data.tool);
+
+  // Rows can no longer attach once the first page has started, so page jobs are never pending jobs
+  const { requestKey, ...data } = job.data;
+  const pageJob = await getQueue(bucket).add(job.name, { ...data, paging }, {
+    jobId: createJobId(bucket),
+    priority: job.opts.priority
+  });
+
+  if (data.batchId) {
+    await trackBatchJobs(data.batchId, [pageJob]);
+  }
+
+  return pageJob;
+}
+
+/**
+ * Queue a cache-lane job whose cache entry expired before it ran on its tool's rate bucket instead
+ * The cache lane has no limiter, so the AnySite call must wait for a drip slot like any other miss.
+ * @param {Job} job - Cache-lane job
+ * @returns {Promise<Job>} - The job that will make the request
+ */
+async function requeueUncachedJob(job) {
+  const { cacheKey, ...data } = job.data;
+  const [uncachedJob] = await enqueueJobs(getToolRateBucket(data.tool), [{ name: job.name, data }], {
+    clientId: data.clientId,
+    priority: data.requestedPriority,
+    weight: data.weight
+  });
+
+  if (data.batchId) {
+    await trackBatchJobs(data.batchId, [uncachedJob]);
+  }
+
+  return uncachedJob;
+}
+
+/**
+ * Add multiple jobs to the queue (batch)
+ * @param {string} batchId - Unique batch identifier
+ * @param {string} tool - Tool name for all jobs
+ * @param {array} records - Array of record objects with params and rowId
+ * @param {object} options - Optional batch settings
+ * @param {string} options.callbackUrl - Callback URL for per-row results
+ * @param {string} options.completionCallbackUrl - Callback URL for the batch-level summary
+ * @param {string} options.callbackSecret - Secret overriding CALLBACK_SIGNING_SECRET for this batch
+ * @param {'row'|'grouped'} options.callbackMode - Send one callback per row, or arrays of rows
+ * @param {number} options.callbackGroupSize - Rows per grouped callback
+ * @param {number} options.callbackGroupIntervalSeconds - Max seconds a row waits before its group is sent
+ * @param {'always'|'changed'} options.callbackOn - Send per-row callbacks always, or only when the result changed
+ * @param {boolean} options.detectChanges - Diff each result against the client's previous run (implied by
+ *   callbackOn 'changed')
+ * @param {number} options.priority - Priority (1=high, 10=low)
+ * @param {string} options.clientId - API client that owns the batch
+ * @param {number} options.weight - Client weight for fair scheduling (default 1)
+ * @param {string} options.scheduleId - Schedule that started this batch, if any
+ * @param {'prefer'|'bypass'} options.cache - Answer rows from the client's result cache when possible, or always
+ *   call AnySite (default)
+ * @param {'batch'|'queue'} options.dedupe - Collapse duplicate records within the batch, or also onto jobs
+ *   already waiting in the queue
+ * @param {object[]} options.rejected - Records that failed validation ({index, rowId, errors}); they are not
+ *   queued but are stored as failed rows so the batch totals match the input
+ * @param {string} options.explode - JSON path to a list in each response, stored and called back one record per item
+ * @param {object} options.projection - {fields, mapping} picked from each response (or explode item) before it is
+ *   stored and called back
+ * @param {object[]} options.pipeline - Pipeline steps, when the records are the first step of a pipeline
+ * @param {number} options.retentionDays - Days to keep the batch in the result sink after it finishes (0 = Redis only)
+ * @returns {Promise<{jobs: Job[], collapsed: number, attached: number}>} - collapsed counts records that did not
+ *   get a job of their own; attached counts those that joined a job from an earlier batch
+ */
+async function addBatch(batchId, tool, records, options = {}) {
+  const {
+    callbackUrl,
+    completionCallbackUrl,
+    callbackSecret,
+    callbackMode = 'row',
+    callbackGroupSize,
+    callbackGroupIntervalSeconds,
+    callbackOn = 'always',
+    detectChanges = false,
+    priority = 5,
+    clientId,
+    weight = 1,
+    scheduleId,
+    cache = 'bypass',
+    dedupe = 'batch',
+    rejected = [],
+    pipeline,
+    retentionDays
+  } = options;
+  const redis = getRedisConnection();
+  const sink = getResultSink();
+
+  // Initialize batch tracking in Redis
+  const batchData = {
+    total: records.length,
+    completed: 0,
+    failed: rejected.length,
+    rejected: rejected.length,
+    cancelled: 0,
+    state: 'active',
+    createdAt: new Date().toISOString(),
+    tool
+  };
+
+  if (clientId) {
+    batchData.clientId = clientId;
+  }
+
+  if (scheduleId) {
+    batchData.scheduleId = scheduleId;
+  }
+
+  if (completionCallbackUrl) {
+    batchData.completionCallbackUrl = completionCallbackUrl;
+  }
+
+  if (callbackSecret) {
+    batchData.callbackSecret = callbackSecret;
+  }
+
+  if (callbackUrl && callbackMode === 'grouped') {
+    // Grouped callbacks are sent per batch rather than per job, so keep their target here
+    batchData.callbackUrl = callbackUrl;
+    batchData.callbackMode = callbackMode;
+    batchData.callbackGroupSize = callbackGroupSize;
+    batchData.callbackGroupIntervalSeconds = callbackGroupIntervalSeconds;
+  }
+
+  if (sink) {
+    batchData.retentionDays = getRetentionDays(retentionDays);
+  }
+
+  if (pipeline) {
+    // Later steps are queued by the worker, which needs the steps and the options for their rows
+    batchData.pipeline = JSON.stringify(pipeline);
+    batchData.pipelineOptions = JSON.stringify({
+      callbackUrl,
+      callbackMode,
+      callbackGroupSize,
+      callbackGroupIntervalSeconds,
+      callbackOn,
+      detectChanges,
+      priority,
+      clientId,
+      weight,
+      cache,
+      dedupe
+    });
+  }
+
+  await redis.hset(`anysignals:batch:${batchId}`, batchData);
+
+  // Set TTL on batch data (48 hours)
+  await redis.expire(`anysignals:batch:${batchId}`, 48 * 3600);
+
+  // Kept batches outlive that TTL in the result sink
+  if (batchData.retentionDays > 0) {
+    await writeToSink(batchId, 'open', () => sink.openBatch(batchId, {
+      tool,
+      clientId: clientId || null,
+      scheduleId: scheduleId || null,
+      createdAt: batchData.createdAt,
+      retentionDays: batchData.retentionDays,
+      expiresAt: getExpiresAt(batchData.retentionDays)
+    }));
+  }
+
+  // Rejected rows never get a job - record them as failed (before any job can finish the batch)
+  // so exports and the completion summary list them
+  await storeRejectedRows(batchId, tool, clientId, rejected);
+
+  const rejectedIndexes = new Set(rejected.map(row => row.index));
+  const rows = [];
+  records.forEach((record, index) => {
+    if (rejectedIndexes.has(index)) return;
+
+    const row = { params: record, rowId: record.rowId || `${batchId}_${index}`, rowIndex: index };
+    if (pipeline) {
+      row.pipeline = { step: 0, parentRowId: null };
+    }
+    rows.push(row);
+  });
+
+  const { jobs, collapsed, attached } = await queueBatchRows(batchId, tool, rows, options);
+
+  logger.info('Batch added to queue', {
+    batchId,
+    tool,
+    jobCount: jobs.length,
+    cacheHits: jobs.filter(job => job.data.cacheKey).length,
+    collapsed,
+    attached,
+    rejected: rejected.length,
+    callbackUrl: callbackUrl ? 'set' : 'none'
+  });
+
+  return { jobs, collapsed, attached };
+}
+
+/**
+ * Queue rows of an existing batch - used for a new batch's records and for later pipeline steps
+ *
+ * Rows with the same request key share one job; the others ride along as its duplicates.
+ *
+ * @param {string} batchId - Batch identifier
+ * @param {string} tool - Tool name for all rows
+ * @param {object[]} rows - Rows to queue ({params, rowId, rowIndex, pipeline})
+ * @param {object} options - Batch settings, as for addBatch
+ * @param {boolean} options.hold - Keep the jobs in the batch's held list instead of queueing them (paused batch)
+ * @returns {Promise<{jobs: Job[], collapsed: number, attached: number}>}
+ */
+async function queueBatchRows(batchId, tool, rows, options = {}) {
+  const {
+    callbackUrl,
+    callbackSecret,
+    callbackMode = 'row',
+    callbackGroupSize,
+    callbackGroupIntervalSeconds,
+    callbackOn = 'always',
+    detectChanges = false,
+    priority = 5,
+    clientId,
+    weight = 1,
+    cache = 'bypass',
+    dedupe = 'batch',
+    explode,
+    projection,
+    hold = false
+  } = options;
+  const callbackGroup = callbackUrl && callbackMode === 'grouped'
+    ? { size: callbackGroupSize, intervalSeconds: callbackGroupIntervalSeconds }
+    : null;
+  const bucket = getToolRateBucket(tool);
+
+  // One job per distinct request - later rows with the same params ride along as duplicates
+  const groups = new Map();
+  for (const row of rows) {
+    const requestKey = getRequestKey(tool, row.params);
+    const group = groups.get(requestKey);
+    if (group) {
+      const duplicate = { rowId: row.rowId, rowIndex: row.rowIndex };
+      if (row.pipeline) {
+        duplicate.pipeline = row.pipeline;
+      }
+      group.duplicates.push(duplicate);
+    } else {
+      groups.set(requestKey, { ...row, requestKey, duplicates: [] });
+    }
+  }
+  const uniqueRows = [...groups.values()];
+
+  const cacheKeys = cache === 'bypass'
+    ? uniqueRows.map(() => null)
+    : await findCachedResults(clientId, tool, uniqueRows.map(group => group.params));
+
+  // Prepare bulk job data
+  const jobs = uniqueRows.map((group, index) => {
+    const data = {
+      tool,
+      params: group.params,
+      rowId: group.rowId,
+      rowIndex: group.rowIndex,
+      requestKey: group.requestKey,
+      callbackUrl,
+      callbackSecret,
+      callbackGroup,
+      callbackOn,
+      detectChanges,
+      batchId,
+      clientId,
+      requestedPriority: priority,
+      weight
+    };
+    if (explode) {
+      data.explode = explode;
+    }
+    if (projection) {
+      data.projection = projection;
+    }
+    if (group.pipeline) {
+      data.pipeline = group.pipeline;
+    }
+    if (group.duplicates.length > 0) {
+      data.duplicates = group.duplicates;
+    }
+    if (cacheKeys[index]) {
+      data.cacheKey = cacheKeys[index];
+    }
+    return { name: 'process-record', data };
+  });
+
+  if (hold) {
+    const heldKey = `anysignals:batch:${batchId}:held`;
+    if (jobs.length > 0) {
+      await getRedisConnection().rpush(heldKey, ...jobs.map(job => JSON.stringify(job)));
+      await getRedisConnection().expire(heldKey, 48 * 3600);
+    }
+    return { jobs: [], collapsed: rows.length - jobs.length, attached: 0 };
+  }
+
+  // Optionally join jobs from earlier batches that will make the same request
+  let toQueue = jobs;
+  let attached = 0;
+  if (dedupe === 'queue') {
+    const misses = jobs.filter(job => !job.data.cacheKey);
+    const hostJobIds = await attachToPendingJobs(misses);
+    const attachedJobs = new Set(misses.filter((job, index) => hostJobIds[index]));
+
+    toQueue = jobs.filter(job => !attachedJobs.has(job));
+    for (const job of attachedJobs) {
+      attached += 1 + (job.data.duplicates?.length || 0);
+    }
+  }
+
+  // Add all jobs in bulk - misses go to the client's fair scheduling lane, hits to the cache lane
+  const addedJobs = await enqueueJobs(bucket, toQueue, { clientId, priority, weight });
+
+  // Track job IDs so the batch can be paused or cancelled later
+  await trackBatchJobs(batchId, addedJobs);
+
+  return { jobs: addedJobs, collapsed: rows.length - addedJobs.length, attached };
+}
+
+/**
+ * Store records rejected at validation as failed rows of their batch
+ * @param {string} batchId - Batch identifier
+ * @param {string} tool - Tool name
+ * @param {string} clientId - API client that owns the batch
+ * @param {object[]} rejected - Rejected records ({index, rowId, errors})
+ */
+async function storeRejectedRows(batchId, tool, clientId, rejected) {
+  if (rejected.length === 0) return;
+
+  for (const row of rejected) {
+    await storeResult(`rejected-${row.index}`, batchId, {
+      jobId: null,
+      rowId: row.rowId ?? `${batchId}_${row.index}`,
+      rowIndex: row.index,
+      tool,
+      clientId,
+      status: 'failed',
+      rejected: true,
+      error: row.errors.join('; '),
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  // Only finishes the batch if every record was rejected
+  await markBatchFinishedIfDone(batchId);
+}
+
+/**
+ * Record job IDs belonging to a batch
+ * @param {string} batchId - Batch identifier
+ * @param {Job[]} jobs - Jobs added for the batch
+ */
+async function trackBatchJobs(batchId, jobs) {
+  if (jobs.length === 0) return;
+
+  const redis = getRedisConnection();
+  const key = `anysignals:batch:${batchId}:jobs`;
+
+  await redis.sadd(key, ...jobs.map(job => job.id));
+  await redis.expire(key, 48 * 3600);
+}
+
+/**
+ * Create an error for a batch operation not allowed in the batch's current state
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 409
+ */
+function batchStateError(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Remove a batch's jobs that have not started yet (waiting, prioritized or delayed)
+ * Active jobs are locked by the worker and are left to finish.
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<Array<{job: Job, retryAt: number|null}>>} - The jobs that were removed, with the time
+ *   a delayed job (one waiting out its retry backoff) was due
+ */
+async function removePendingBatchJobs(batchId) {
+  const redis = getRedisConnection();
+  const jobIds = await redis.smembers(`anysignals:batch:${batchId}:jobs`);
+  const removed = [];
+
+  for (const jobId of jobIds) {
+    const queue = getQueue(getJobBucket(jobId));
+    const job = await queue.getJob(jobId);
+    if (!job) continue;
+
+    const state = await job.getState();
+    if (!['waiting', 'prioritized', 'delayed'].includes(state)) continue;
+
+    // BullMQ scores delayed jobs by due time * 0x1000
+    const score = state === 'delayed' ? await redis.zscore(queue.keys.delayed, jobId) : null;
+    const retryAt = score ? Math.floor(Number(score) / 0x1000) : null;
+
+    // Returns 0 if the worker picked the job up in the meantime
+    if (await queue.remove(jobId) === 1) {
+      removed.push({ job, retryAt });
+      // Rows from other batches that attached to this job still need their result
+      await requeueFollowers(job);
+    }
+  }
+
+  if (removed.length > 0) {
+    await redis.srem(`anysignals:batch:${batchId}:jobs`, ...removed.map(({ job }) => job.id));
+  }
+
+  return removed;
+}
 
 /**
- * Get or create the job queue
- * @returns {Queue}
+ * Get a batch's state
+ * Batches created before states existed have none: they are active until they finish.
+ * @param {string} batchKey - Batch hash key
+ * @returns {Promise<string|null>} - null if the batch does not exist
  */
-function getQueue() {
-  if (!queueInstance) {
-    queueInstance = new Queue(QUEUE_NAME, {
-      connection: getRedisConnection(),
-      defaultJobOptions: {
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          delay: 5000 // Start with 5 second delay, then 10s, then 20s
-        },
-        removeOnComplete: {
-          count: 1000, // Keep last 1000 completed jobs
-          age: 24 * 3600 // Keep completed jobs for 24 hours
-        },
-        removeOnFail: {
-          count: 500, // Keep last 500 failed jobs for debugging
-          age: 7 * 24 * 3600 // Keep failed jobs for 7 days
-        }
-      }
-    });
+async function getBatchState(batchKey) {
+  const [state, total, finishedAt] = await getRedisConnection().hmget(batchKey, 'state', 'total', 'finishedAt');
+  if (state) return state;
+  if (total === null) return null;
+  return finishedAt ? 'completed' : 'active';
+}
 
-    queueInstance.on('error', (err) => {
-      logger.error('Queue error', { error: err.message });
-    });
+/**
+ * Pause a batch - hold its pending jobs outside the queue until resumed
+ * Each held job keeps its ID, its remaining attempts and backoff, and the time its retry was due.
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<{held: number}|null>} - null if the batch does not exist
+ */
+async function pauseBatch(batchId) {
+  const redis = getRedisConnection();
+  const batchKey = `anysignals:batch:${batchId}`;
+
+  const state = await getBatchState(batchKey);
+  if (!state) return null;
+  if (state !== 'active') {
+    throw batchStateError(`Cannot pause a batch in state: ${state}`);
+  }
+
+  await redis.hset(batchKey, { state: 'paused', pausedAt: new Date().toISOString() });
+
+  const removed = await removePendingBatchJobs(batchId);
+
+  if (removed.length > 0) {
+    await redis.rpush(`${batchKey}:held`, ...removed.map(({ job, retryAt }) => JSON.stringify({
+      name: job.name,
+      data: { ...job.data, priorAttempts: getJobAttempts(job).attemptsMade },
+      opts: {
+        jobId: job.id,
+        attempts: Math.max(1, job.opts.attempts - job.attemptsMade),
+        backoff: job.opts.backoff
+      },
+      retryAt
+    })));
+    await redis.expire(`${batchKey}:held`, 48 * 3600);
   }
-  return queueInstance;
+
+  logger.info('Batch paused', { batchId, held: removed.length });
+
+  return { held: removed.length };
 }
 
 /**
- * Add a single job to the queue
- * @param {object} jobData - Job data including tool, params, rowId, callbackUrl, batchId
- * @param {object} options - Optional job options (priority, delay, etc.)
- * @returns {Promise<Job>}
+ * Resume a paused batch - re-queue its held jobs
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<{requeued: number}|null>} - null if the batch does not exist
  */
-async function addJob(jobData, options = {}) {
-  const queue = getQueue();
-  const jobOptions = {
-    priority: options.priority || 5,
-    ...options
-  };
+async function resumeBatch(batchId) {
+  const redis = getRedisConnection();
+  const batchKey = `anysignals:batch:${batchId}`;
 
-  const job = await queue.add('process-record', jobData, jobOptions);
-  logger.debug('Job added to queue', {
-    jobId: job.id,
-    tool: jobData.tool,
-    rowId: jobData.rowId
-  });
-  return job;
+  const state = await getBatchState(batchKey);
+  if (!state) return null;
+  if (state !== 'paused') {
+    throw batchStateError(`Cannot resume a batch in state: ${state}`);
+  }
+
+  const held = (await redis.lrange(`${batchKey}:held`, 0, -1)).map(entry => JSON.parse(entry));
+
+  // Pipeline steps can use different tools, so re-queue each rate bucket's jobs separately
+  const byBucket = new Map();
+  const now = Date.now();
+  for (const { name, data, opts = {}, retryAt } of held) {
+    const bucket = getToolRateBucket(data.tool);
+    if (!byBucket.has(bucket)) byBucket.set(bucket, []);
+    // A job that was waiting out its retry backoff waits out whatever is left of it
+    const delay = retryAt ? Math.max(0, retryAt - now) : 0;
+    byBucket.get(bucket).push({ name, data, opts: delay > 0 ? { ...opts, delay } : opts });
+  }
+
+  // Held jobs go to the back of the client's lane rather than keeping their old slots, but keep their IDs
+  let requeued = 0;
+  for (const [bucket, jobs] of byBucket) {
+    const first = jobs[0].data;
+    const addedJobs = await enqueueJobs(bucket, jobs, {
+      clientId: first.clientId,
+      priority: first.requestedPriority,
+      weight: first.weight
+    });
+
+    await trackBatchJobs(batchId, addedJobs);
+    requeued += addedJobs.length;
+  }
+
+  await redis.del(`${batchKey}:held`);
+  await redis.hset(batchKey, 'state', 'active');
+  await redis.hdel(batchKey, 'pausedAt');
+
+  logger.info('Batch resumed', { batchId, requeued });
+
+  return { requeued };
 }
 
 /**
- * Add multiple jobs to the queue (batch)
- * @param {string} batchId - Unique batch identifier
- * @param {string} tool - Tool name for all jobs
- * @param {array} records - Array of record objects with params and rowId
- * @param {string} callbackUrl - Optional callback URL for results
- * @param {number} priority - Optional priority (1=high, 10=low)
- * @returns {Promise<Job[]>}
+ * Cancel a batch - remove its pending and held jobs and count them as cancelled
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<{cancelled: number}|null>} - null if the batch does not exist
  */
-async function addBatch(batchId, tool, records, callbackUrl, priority = 5) {
-  const queue = getQueue();
+async function cancelBatch(batchId) {
   const redis = getRedisConnection();
+  const batchKey = `anysignals:batch:${batchId}`;
 
-  // Initialize batch tracking in Redis
-  await redis.hset(`anysignals:batch:${batchId}`, {
-    total: records.length,
-    completed: 0,
-    failed: 0,
-    createdAt: new Date().toISOString(),
-    tool
-  });
+  // A finished batch keeps its final state
+  const state = await getBatchState(batchKey);
+  if (!state) return null;
+  if (state !== 'active' && state !== 'paused') {
+    throw batchStateError(`Cannot cancel a batch in state: ${state}`);
+  }
 
-  // Set TTL on batch data (48 hours)
-  await redis.expire(`anysignals:batch:${batchId}`, 48 * 3600);
+  await redis.hset(batchKey, { state: 'cancelled', cancelledAt: new Date().toISOString() });
 
-  // Prepare bulk job data
-  const jobs = records.map((record, index) => ({
-    name: 'process-record',
-    data: {
-      tool,
-      params: record,
-      rowId: record.rowId || `${batchId}_${index}`,
-      callbackUrl,
-      batchId
-    },
-    opts: {
-      priority
-    }
-  }));
+  const removed = await removePendingBatchJobs(batchId);
+  const held = (await redis.lrange(`${batchKey}:held`, 0, -1)).map(entry => JSON.parse(entry));
+  await redis.del(`${batchKey}:held`);
 
-  // Add all jobs in bulk
-  const addedJobs = await queue.addBulk(jobs);
+  // A job answers its own row plus any duplicates collapsed into it
+  const cancelled = [...removed.map(({ job }) => job), ...held].reduce((rows, job) => rows + 1 + (job.data.duplicates?.length || 0), 0);
+  await redis.hincrby(batchKey, 'cancelled', cancelled);
+  await markBatchFinishedIfDone(batchId);
 
-  logger.info('Batch added to queue', {
-    batchId,
-    tool,
-    jobCount: addedJobs.length,
-    callbackUrl: callbackUrl ? 'set' : 'none'
-  });
+  logger.info('Batch cancelled', { batchId, cancelled });
 
-  return addedJobs;
+  return { cancelled };
 }
 
 /**
- * Get queue statistics
+ * Get statistics for one rate bucket's queue
+ * @param {string} bucket - Rate bucket name
  * @returns {Promise<object>}
  */
-async function getQueueStats() {
-  const queue = getQueue();
+async function getBucketStats(bucket) {
+  const queue = getQueue(bucket);
 
-  const [waiting, active, completed, failed, delayed] = await Promise.all([
+  // Jobs with a priority sit in 'prioritized' rather than 'waiting' - count both as waiting
+  const [waiting, prioritized, active, completed, failed, delayed] = await Promise.all([
     queue.getWaitingCount(),
+    queue.getPrioritizedCount(),
     queue.getActiveCount(),
     queue.getCompletedCount(),
     queue.getFailedCount(),
@@ -165,15 +1290,34 @@ async function getQueueStats() {
   ]);
 
   return {
-    waiting,
+    waiting: waiting + prioritized,
     active,
     completed,
     failed,
     delayed,
-    total: waiting + active + delayed
+    total: waiting + prioritized + active + delayed
   };
 }
 
+/**
+ * Get queue statistics, totalled across rate buckets and the cache lane with a per-queue breakdown
+ * @returns {Promise<object>}
+ */
+async function getQueueStats() {
+  const buckets = [...listRateBuckets(), CACHE_LANE];
+  const bucketStats = await Promise.all(buckets.map(getBucketStats));
+
+  const stats = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0, buckets: {} };
+  bucketStats.forEach((bucketStat, index) => {
+    for (const field of ['waiting', 'active', 'completed', 'failed', 'delayed', 'total']) {
+      stats[field] += bucketStat[field];
+    }
+    stats.buckets[buckets[index]] = bucketStat;
+  });
+
+  return stats;
+}
+
 /**
  * Get batch status
  * @param {string} batchId - Batch identifier
@@ -184,95 +1328,536 @@ async function getBatchStatus(batchId) {
   const batchData = await redis.hgetall(`anysignals:batch:${batchId}`);
 
   if (!batchData || Object.keys(batchData).length === 0) {
-    return null;
+    return getKeptBatchStatus(batchId);
   }
 
   const total = parseInt(batchData.total, 10);
   const completed = parseInt(batchData.completed, 10);
   const failed = parseInt(batchData.failed, 10);
-  const pending = total - completed - failed;
-  const dripInterval = parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000;
+  const cancelled = parseInt(batchData.cancelled, 10) || 0;
+  const rejected = parseInt(batchData.rejected, 10) || 0;
+  const pending = total - completed - failed - cancelled;
+  const dripInterval = await getBucketIntervalMs(getToolRateBucket(batchData.tool));
 
   return {
     batchId,
     total,
     completed,
     failed,
+    rejected,
+    cancelled,
     pending,
+    state: batchData.state || (batchData.finishedAt ? 'completed' : 'active'),
     percentComplete: total > 0 ? Math.round((completed / total) * 100) : 0,
     estimatedRemainingSeconds: Math.ceil((pending * dripInterval) / 1000),
     createdAt: batchData.createdAt,
-    tool: batchData.tool
+    finishedAt: batchData.finishedAt,
+    pausedAt: batchData.pausedAt,
+    cancelledAt: batchData.cancelledAt,
+    tool: batchData.tool,
+    clientId: batchData.clientId || null,
+    scheduleId: batchData.scheduleId || null,
+    retentionDays: batchData.retentionDays !== undefined ? parseInt(batchData.retentionDays, 10) : null
+  };
+}
+
+/**
+ * Get the status of a batch Redis no longer has from the result sink
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<object|null>} - Status as of when the batch finished, with `archived` and `keptUntil`
+ */
+async function getKeptBatchStatus(batchId) {
+  const meta = await getResultSink()?.getBatch(batchId);
+  if (!meta) return null;
+
+  // A batch that outlived Redis without finishing only has what was known when it started
+  const status = meta.status || {
+    batchId,
+    tool: meta.tool,
+    clientId: meta.clientId,
+    scheduleId: meta.scheduleId,
+    createdAt: meta.createdAt,
+    retentionDays: meta.retentionDays
   };
+
+  return { ...status, archived: true, keptUntil: meta.expiresAt };
 }
 
 /**
- * Get results for a batch
+ * Get results for a batch, ordered by input row
  * @param {string} batchId - Batch identifier
- * @param {number} limit - Max results to return
- * @returns {Promise<array>}
+ * @param {object} options - Pagination options
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ * @param {number} options.limit - Max results to return (default: 100)
+ * @param {'completed'|'failed'} options.status - Only return results with this status
+ * @returns {Promise<{results: array, total: number, nextCursor: string|null, archived: boolean}>} - archived is
+ *   true when the page was read from the result sink
  */
-async function getBatchResults(batchId, limit = 100) {
+async function getBatchResults(batchId, options = {}) {
+  const { offset = 0, limit = 100, status } = options;
   const redis = getRedisConnection();
-  const pattern = `anysignals:result:*:${batchId}`;
+  const indexKey = status
+    ? `anysignals:batch:${batchId}:results:${status}`
+    : `anysignals:batch:${batchId}:results`;
+
+  const [total, jobIds] = await Promise.all([
+    redis.zcard(indexKey),
+    redis.zrange(indexKey, offset, offset + limit - 1)
+  ]);
 
-  const keys = await redis.keys(pattern);
-  const limitedKeys = keys.slice(0, limit);
+  const values = jobIds.length > 0
+    ? await redis.mget(jobIds.map(jobId => `anysignals:result:${jobId}:${batchId}`))
+    : [];
 
-  if (limitedKeys.length === 0) {
-    return [];
+  // Result keys expire before the index, and the index with the batch - a kept batch's page then comes from the sink
+  const expired = values.some(value => !value) || (total === 0 && !(await redis.exists(`anysignals:batch:${batchId}`)));
+  if (expired) {
+    const kept = await getResultSink()?.readResults(batchId, { offset, limit, status });
+    if (kept) {
+      const keptOffset = offset + kept.results.length;
+      return {
+        results: kept.results,
+        total: kept.total,
+        nextCursor: keptOffset < kept.total ? String(keptOffset) : null,
+        archived: true
+      };
+    }
   }
 
-  const results = await Promise.all(
-    limitedKeys.map(async (key) => {
-      const data = await redis.get(key);
-      return data ? JSON.parse(data) : null;
-    })
-  );
+  const nextOffset = offset + jobIds.length;
+  const nextCursor = nextOffset < total ? String(nextOffset) : null;
+
+  // Without a sink, results that are gone are skipped
+  const results = values.filter(Boolean).map(value => JSON.parse(value));
 
-  return results.filter(Boolean);
+  return { results, total, nextCursor, archived: false };
 }
 
 /**
- * Store a job result in Redis
+ * Iterate over all stored results for a batch in input row order, a chunk at a time
+ * @param {string} batchId - Batch identifier
+ * @param {object} options - Iteration options
+ * @param {'completed'|'failed'} options.status - Only yield results with this status
+ * @param {number} options.chunkSize - Results fetched from Redis per round trip (default: 200)
+ * @yields {object} - Stored result
+ */
+async function* iterateBatchResults(batchId, options = {}) {
+  const { status, chunkSize = 200 } = options;
+  let offset = 0;
+
+  while (true) {
+    const page = await getBatchResults(batchId, { offset, limit: chunkSize, status });
+
+    // Once Redis has let the results go, stream the rest from the sink in one pass rather than a read per page
+    if (page.archived) {
+      yield* getResultSink().iterateResults(batchId, { status, offset });
+      return;
+    }
+
+    for (const result of page.results) {
+      yield result;
+    }
+
+    if (!page.nextCursor) return;
+    offset = parseInt(page.nextCursor, 10);
+  }
+}
+
+/**
+ * Get the position of a job that is waiting to be processed
+ * @param {Job} job - BullMQ job
+ * @param {string} state - Job state from job.getState()
+ * @returns {Promise<number|null>} - 1-based position, or null if the job is not waiting
+ */
+async function getJobQueuePosition(job, state) {
+  const queue = getQueue(getJobBucket(job.id));
+  const redis = getRedisConnection();
+
+  if (state === 'active') {
+    return 0;
+  }
+
+  const [activeCount, waitLength] = await Promise.all([
+    queue.getActiveCount(),
+    redis.llen(queue.keys.wait)
+  ]);
+
+  if (state === 'waiting') {
+    // Jobs are pushed on the left and taken from the right of the wait list
+    const index = await redis.lpos(queue.keys.wait, job.id);
+    return index === null ? null : activeCount + (waitLength - index);
+  }
+
+  if (state === 'prioritized') {
+    // Non-prioritized waiting jobs are always taken before prioritized ones
+    const rank = await redis.zrank(queue.keys.prioritized, job.id);
+    return rank === null ? null : activeCount + waitLength + rank + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Get status, position and result for a single job
  * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} - null if neither the job nor its result exist
+ */
+async function getJobStatus(jobId) {
+  const queue = getQueue(getJobBucket(jobId));
+  const redis = getRedisConnection();
+
+  const job = await queue.getJob(jobId);
+  const batchId = job?.data.batchId;
+  const resultKey = batchId
+    ? `anysignals:result:${jobId}:${batchId}`
+    : `anysignals:result:${jobId}`;
+  const storedResult = await redis.get(resultKey);
+  const result = storedResult ? JSON.parse(storedResult) : null;
+
+  if (!job) {
+    // Job was removed from BullMQ (removeOnComplete/removeOnFail) - fall back to the stored result
+    if (!result) return null;
+
+    return {
+      jobId,
+      state: result.status === 'failed' ? 'failed' : 'completed',
+      rowId: result.rowId,
+      tool: result.tool,
+      batchId: null,
+      clientId: result.clientId || null,
+      position: null,
+      estimatedWaitSeconds: null,
+      result: result.status === 'failed' ? null : result.data,
+      itemCount: result.itemCount,
+      changes: result.changes || null,
+      cached: Boolean(result.cached),
+      error: result.error || null,
+      timestamps: {
+        completedAt: result.completedAt,
+        failedAt: result.failedAt
+      }
+    };
+  }
+
+  // The first page of a paginated request finishes before the request does, and a cache hit whose entry
+  // expired hands its request to a job on the rate bucket
+  const paginating = !result && job.returnvalue?.paginating;
+  const requeued = !result && job.returnvalue?.requeued;
+  const state = paginating ? 'paginating' : requeued ? 'requeued' : await job.getState();
+  const position = await getJobQueuePosition(job, state);
+  const dripInterval = await getBucketIntervalMs(getJobBucket(job.id));
+  const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : undefined);
+
+  return {
+    jobId: job.id,
+    state,
+    rowId: job.data.rowId,
+    tool: job.data.tool,
+    batchId: batchId || null,
+    clientId: job.data.clientId || null,
+    ...getJobAttempts(job),
+    position,
+    estimatedWaitSeconds: position ? Math.ceil((position * dripInterval) / 1000) : null,
+    result: result && result.status !== 'failed' ? result.data : null,
+    itemCount: result?.itemCount,
+    changes: result?.changes || null,
+    cached: result ? Boolean(result.cached) : Boolean(job.data.cacheKey),
+    nextPageJobId: paginating ? job.returnvalue.nextPageJobId : undefined,
+    requeuedJobId: requeued ? job.returnvalue.requeuedJobId : undefined,
+    error: result?.error || job.failedReason || null,
+    timestamps: {
+      createdAt: toIso(job.timestamp),
+      processedAt: toIso(job.processedOn),
+      finishedAt: toIso(job.finishedOn),
+      storedAt: result?.storedAt
+    }
+  };
+}
+
+/**
+ * Store a job result in Redis
+ * @param {string} jobId - Job ID, `<jobId>.<rowIndex>` for a duplicate row collapsed into another row's job,
+ *   `<jobId>:<itemIndex>` for an exploded item, or `rejected-<rowIndex>` for a record rejected at validation
  * @param {string} batchId - Optional batch ID
  * @param {object} result - Result data
  */
 async function storeResult(jobId, batchId, result) {
+  const stored = await writeResult(jobId, batchId, result);
+
+  if (batchId) {
+    const score = getResultScore(result);
+    await indexBatchResult(jobId, batchId, result, score);
+    await writeToSink(batchId, 'result', sink => sink.writeResult(batchId, jobId, stored, score));
+  }
+}
+
+/**
+ * Store an exploded row: the batch's results list one record per item (stored as `<jobId>:<itemIndex>`)
+ * in its place, while the row's own record under its job ID keeps only `itemCount` so the data is not
+ * stored twice. A job outside a batch has nowhere to list its items, so its record holds them as `data`.
+ * @param {string} jobId - Result ID, as for storeResult
+ * @param {string} batchId - Optional batch ID
+ * @param {object} result - Result for the whole row (its `data` is not stored)
+ * @param {object[]} items - One result per item, each with itemIndex and itemCount
+ */
+async function storeExplodedResult(jobId, batchId, result, items) {
+  const { data, ...row } = result;
+
+  if (!batchId) {
+    await storeResult(jobId, null, { ...row, itemCount: items.length, data: items.map(item => item.data) });
+    return;
+  }
+
+  await writeResult(jobId, batchId, { ...row, itemCount: items.length });
+  for (const item of items) {
+    await storeResult(`${jobId}:${item.itemIndex}`, batchId, item);
+  }
+}
+
+/**
+ * Write a result under its key without adding it to the batch index
+ * @param {string} jobId - Result ID
+ * @param {string} batchId - Optional batch ID
+ * @param {object} result - Result data
+ * @returns {Promise<object>} - The stored result
+ */
+async function writeResult(jobId, batchId, result) {
   const redis = getRedisConnection();
   const ttl = parseInt(process.env.RESULT_TTL_SECONDS, 10) || 86400;
 
   const key = batchId
     ? `anysignals:result:${jobId}:${batchId}`
     : `anysignals:result:${jobId}`;
+  const stored = { ...result, storedAt: new Date().toISOString() };
 
-  await redis.setex(key, ttl, JSON.stringify({
-    ...result,
-    storedAt: new Date().toISOString()
-  }));
+  await redis.setex(key, ttl, JSON.stringify(stored));
+
+  return stored;
+}
+
+/**
+ * Get a result's position in its batch - its input row, so pages are stable
+ * @param {object} result - Result data (rowIndex and any itemIndex/itemCount are used)
+ * @returns {number}
+ */
+function getResultScore(result) {
+  // Exploded items sort in order between their row and the next one
+  return Number.isInteger(result.rowIndex)
+    ? result.rowIndex + (result.itemIndex || 0) / (result.itemCount || 1)
+    : Date.now();
+}
+
+/**
+ * Index a stored result under its batch
+ * @param {string} jobId - Job ID
+ * @param {string} batchId - Batch identifier
+ * @param {object} result - Result data (status is used)
+ * @param {number} score - Position from getResultScore
+ */
+async function indexBatchResult(jobId, batchId, result, score) {
+  const redis = getRedisConnection();
+  const indexKey = `anysignals:batch:${batchId}:results`;
+  const status = result.status === 'failed' ? 'failed' : 'completed';
+  const otherStatus = status === 'failed' ? 'completed' : 'failed';
+
+  await redis.multi()
+    .zadd(indexKey, score, jobId)
+    .zadd(`${indexKey}:${status}`, score, jobId)
+    .zrem(`${indexKey}:${otherStatus}`, jobId)
+    .expire(indexKey, 48 * 3600)
+    .expire(`${indexKey}:${status}`, 48 * 3600)
+    .exec();
 }
 
 /**
- * Update batch progress (increment completed or failed count)
+ * Run a result sink operation, if a sink is configured
+ * Failures are logged rather than thrown - Redis still has the data, and a job must not be retried for it.
  * @param {string} batchId - Batch identifier
+ * @param {string} action - Operation name for logging
+ * @param {Function} operation - Called with the sink
+ */
+async function writeToSink(batchId, action, operation) {
+  const sink = getResultSink();
+  if (!sink) return;
+
+  try {
+    await operation(sink);
+  } catch (error) {
+    logger.error('Result sink write failed', { batchId, action, sink: sink.name, error: error.message });
+  }
+}
+
+// Mark a row finished and count it towards its batch in one step, so a retried job never counts it twice
+const FINISH_ROW_SCRIPT = `
+if redis.call('SADD', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+if ARGV[3] ~= '' then
+  redis.call('HINCRBY', KEYS[2], ARGV[3], 1)
+end
+return 1
+`;
+
+/**
+ * Record a job's row as finished and update its batch's progress (increment completed or failed count)
+ * @param {string} jobId - Job ID the row's result is stored under
+ * @param {string} resultId - Row's result ID
+ * @param {string} batchId - Batch identifier (optional)
  * @param {'completed'|'failed'} field - Field to increment
+ * @returns {Promise<{finished: boolean}>} - finished is true only for the update that completed the batch
+ */
+async function finishRow(jobId, resultId, batchId, field) {
+  const counted = await getRedisConnection().eval(
+    FINISH_ROW_SCRIPT, 2, `anysignals:job:${jobId}:rows-done`, `anysignals:batch:${batchId}`,
+    resultId, PENDING_TTL_SECONDS, batchId ? field : ''
+  );
+
+  if (!counted || !batchId) return { finished: false };
+
+  return { finished: await markBatchFinishedIfDone(batchId) };
+}
+
+// Claim a batch's finish once every row is completed, failed or cancelled: set finishedAt, move it to
+// completed (unless cancelled) and queue its completion callback, all or nothing
+const FINISH_BATCH_SCRIPT = `
+local fields = redis.call('HMGET', KEYS[1], 'total', 'completed', 'failed', 'cancelled', 'state',
+  'completionCallbackUrl', 'finishedAt')
+local total = tonumber(fields[1])
+local done = (tonumber(fields[2]) or 0) + (tonumber(fields[3]) or 0) + (tonumber(fields[4]) or 0)
+if not total or done < total or fields[7] then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'finishedAt', ARGV[1])
+if fields[5] ~= 'cancelled' then
+  redis.call('HSET', KEYS[1], 'state', 'completed')
+end
+if fields[6] then
+  redis.call('SADD', KEYS[2], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * Mark a batch finished once every row is completed, failed or cancelled
+ * The check, the finishedAt claim, the state change and queueing the completion callback run as one
+ * script, so only one caller ever sees the transition and a crash cannot leave it half done.
+ *
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<boolean>} - true if this call finished the batch
+ */
+async function markBatchFinishedIfDone(batchId) {
+  const redis = getRedisConnection();
+
+  const claimed = await redis.eval(
+    FINISH_BATCH_SCRIPT, 2, `anysignals:batch:${batchId}`, 'anysignals:batches:completion-pending',
+    new Date().toISOString(), batchId
+  );
+  if (!claimed) {
+    return false;
+  }
+
+  // Keep the final status with the batch's results; its retention counts from now
+  await writeToSink(batchId, 'close', async sink => {
+    const status = await getBatchStatus(batchId);
+    if (status.retentionDays > 0) {
+      await sink.closeBatch(batchId, status, getExpiresAt(status.retentionDays));
+    }
+  });
+
+  const [total, completed, failed, cancelled] = await redis.hmget(
+    `anysignals:batch:${batchId}`, 'total', 'completed', 'failed', 'cancelled'
+  );
+  logger.info('Batch finished', { batchId, total, completed, failed, cancelled });
+
+  return true;
+}
+
+/**
+ * List batches whose completion callback has not been delivered yet
+ * @returns {Promise<string[]>}
+ */
+async function getPendingBatchCompletions() {
+  const redis = getRedisConnection();
+  return redis.smembers('anysignals:batches:completion-pending');
+}
+
+// Take the delivery lock only while the batch is still in the pending set
+const CLAIM_COMPLETION_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+if not redis.call('SET', KEYS[2], '1', 'EX', ARGV[2], 'NX') then
+  return 0
+end
+return 1
+`;
+
+/**
+ * Claim the right to send a batch's completion callback
+ * Only batches still pending can be claimed, so a callback already handled is never sent again - even
+ * after its lock expires. The claim expires so a worker that dies mid-delivery does not block
+ * redelivery forever.
+ *
+ * @param {string} batchId - Batch identifier
+ * @param {number} ttlSeconds - How long the claim is held (default: 300)
+ * @returns {Promise<boolean>} - true if the claim was acquired
+ */
+async function claimBatchCompletion(batchId, ttlSeconds = 300) {
+  const redis = getRedisConnection();
+  const claimed = await redis.eval(
+    CLAIM_COMPLETION_SCRIPT, 2, 'anysignals:batches:completion-pending',
+    `anysignals:batch:${batchId}:completion-lock`, batchId, ttlSeconds
+  );
+  return claimed === 1;
+}
+
+/**
+ * Record that a batch's completion callback was handled
+ * @param {string} batchId - Batch identifier
+ * @param {object} outcome - Delivery outcome from callback.sendCallback
  */
-async function updateBatchProgress(batchId, field) {
-  if (!batchId) return;
+async function resolveBatchCompletion(batchId, outcome) {
+  const redis = getRedisConnection();
+
+  await redis.hset(`anysignals:batch:${batchId}`, {
+    completionCallbackStatus: outcome.success ? 'delivered' : 'failed',
+    completionCallbackAt: new Date().toISOString()
+  });
+  await redis.srem('anysignals:batches:completion-pending', batchId);
+}
 
+/**
+ * Get everything needed to build a batch completion summary
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<{status: object, completionCallbackUrl: string, callbackSecret: string, failedRowIds: string[]}|null>}
+ */
+async function getBatchCompletionInfo(batchId) {
   const redis = getRedisConnection();
-  await redis.hincrby(`anysignals:batch:${batchId}`, field, 1);
+  const status = await getBatchStatus(batchId);
+
+  if (!status) return null;
+
+  const [completionCallbackUrl, callbackSecret] = await redis.hmget(
+    `anysignals:batch:${batchId}`, 'completionCallbackUrl', 'callbackSecret'
+  );
+  const failedRowIds = [];
+  for await (const result of iterateBatchResults(batchId, { status: 'failed' })) {
+    failedRowIds.push(result.rowId);
+  }
+
+  return { status, completionCallbackUrl, callbackSecret, failedRowIds };
 }
 
 /**
- * Get estimated wait time for a new job
+ * Get estimated wait time for a new job in a rate bucket
+ * @param {string} bucket - Rate bucket name (default: the default bucket)
  * @returns {Promise<{position: number, estimatedWaitSeconds: number}>}
  */
-async function getQueuePosition() {
-  const stats = await getQueueStats();
+async function getQueuePosition(bucket = DEFAULT_RATE_BUCKET) {
+  const stats = await getBucketStats(bucket);
   const position = stats.waiting + stats.active + 1;
-  const dripInterval = parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000;
+  const dripInterval = await getBucketIntervalMs(bucket);
 
   return {
     position,
@@ -300,9 +1885,9 @@ async function isRedisConnected() {
 async function shutdown() {
   logger.info('Shutting down queue connections...');
 
-  if (queueInstance) {
+  for (const [bucket, queueInstance] of Object.entries(queueInstances)) {
     await queueInstance.close();
-    queueInstance = null;
+    delete queueInstances[bucket];
   }
 
   if (redisConnection) {
@@ -316,14 +1901,43 @@ async function shutdown() {
 module.exports = {
   QUEUE_NAME,
   getRedisConnection,
+  CACHE_LANE,
+  getJobAttempts,
   getQueue,
+  getQueueName,
+  getJobBucket,
+  getBucketIntervalMs,
+  getRuntimeConfig,
+  updateRuntimeConfig,
+  advanceFairClock,
+  releasePendingJob,
+  getJobFollowers,
+  clearJobFollowers,
+  isRowDone,
   addJob,
+  addPageJob,
+  requeueUncachedJob,
   addBatch,
+  queueBatchRows,
+  storeRejectedRows,
   getQueueStats,
   getBatchStatus,
   getBatchResults,
+  iterateBatchResults,
+  getJobStatus,
+  pauseBatch,
+  resumeBatch,
+  cancelBatch,
   storeResult,
-  updateBatchProgress,
+  storeExplodedResult,
+  getCacheKey,
+  cacheResult,
+  readCachedResult,
+  finishRow,
+  getPendingBatchCompletions,
+  claimBatchCompletion,
+  resolveBatchCompletion,
+  getBatchCompletionInfo,
   getQueuePosition,
   isRedisConnected,
   shutdown
@@ -0,0 +1,97 @@
+/**
+ * Result Sink - Keep batch results outside Redis for as long as each batch's retention asks
+ *
+ * Redis only holds results for RESULT_TTL_SECONDS and batches for 48 hours. When RESULT_SINK is set,
+ * queue.storeResult also hands every batch result to that sink, and a batch's status, results and
+ * export are read back from it once Redis has let them go - until the batch's `retentionDays` run out.
+ * Batches Redis still holds are always read from Redis.
+ * Results of single jobs stay in Redis only.
+ *
+ * A sink is an object with:
+ * - openBatch(batchId, meta)                        start keeping a new batch
+ * - writeResult(batchId, resultId, result, score)   append a result (ignored for batches not kept)
+ * - closeBatch(batchId, status, expiresAt)          store a finished batch's status
+ * - getBatch(batchId)                               kept batch's metadata and status, or null
+ * - readResults(batchId, {offset, limit, status})   one page of a kept batch's results ({results, total}), or null
+ * - iterateResults(batchId, {status, offset})       stream a kept batch's results
+ * - removeExpired(now)                              drop batches past their retention
+ *
+ * Sinks are created by name from SINK_FACTORIES; registerResultSink adds more.
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { createFilesystemSink } = require('./filesystem-sink');
+
+// Days a batch is kept in the sink after it finishes, when the request does not say
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.RESULT_RETENTION_DAYS, 10) || 30;
+
+const MAX_RETENTION_DAYS = 365;
+
+const SINK_FACTORIES = {
+  filesystem: () => createFilesystemSink({
+    dir: path.resolve(process.env.RESULT_SINK_DIR || './data/results')
+  })
+};
+
+// Configured sink, created on first use (null when RESULT_SINK is not set)
+let sink;
+
+/**
+ * Add a sink that RESULT_SINK can name
+ * @param {string} name - Sink name
+ * @param {Function} factory - Returns the sink object
+ */
+function registerResultSink(name, factory) {
+  SINK_FACTORIES[name] = factory;
+  sink = undefined;
+}
+
+/**
+ * Get the configured result sink
+ * @returns {object|null} - null if results are kept in Redis only
+ */
+function getResultSink() {
+  if (sink === undefined) {
+    const name = process.env.RESULT_SINK;
+    const factory = name ? SINK_FACTORIES[name] : null;
+
+    if (name && !factory) {
+      logger.error('Unknown RESULT_SINK - results are kept in Redis only', {
+        sink: name,
+        available: Object.keys(SINK_FACTORIES)
+      });
+    }
+
+    sink = factory ? factory() : null;
+  }
+
+  return sink;
+}
+
+/**
+ * Get the days a batch is kept for
+ * @param {number} requested - retentionDays from the request (optional; 0 keeps the batch in Redis only)
+ * @returns {number}
+ */
+function getRetentionDays(requested) {
+  return Math.min(requested ?? DEFAULT_RETENTION_DAYS, MAX_RETENTION_DAYS);
+}
+
+/**
+ * Get the time a kept batch may be removed
+ * @param {number} retentionDays - Batch retention
+ * @param {Date} from - Start of the retention period (default: now)
+ * @returns {string} - ISO time
+ */
+function getExpiresAt(retentionDays, from = new Date()) {
+  return new Date(from.getTime() + retentionDays * 24 * 3600 * 1000).toISOString();
+}
+
+module.exports = {
+  MAX_RETENTION_DAYS,
+  registerResultSink,
+  getResultSink,
+  getRetentionDays,
+  getExpiresAt
+};
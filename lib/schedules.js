@@ -0,0 +1,383 @@
+/**
+ * Schedules - Re-run a batch on a cron pattern or fixed interval
+ *
+ * Each schedule is a BullMQ job scheduler on its own queue. When it fires, the worker calls
+ * runSchedule, which queues a fresh batch through queue.addBatch. Definitions live in Redis:
+ * - anysignals:schedule:{id}           hash with tool, records, timing and batch options
+ * - anysignals:schedule:{id}:batches   list of batch IDs started by the schedule, newest first
+ * - anysignals:schedules               set of schedule IDs
+ */
+
+const { Queue } = require('bullmq');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const queue = require('./queue');
+const clients = require('./clients');
+
+const SCHEDULES_QUEUE_NAME = 'anysignals:schedules';
+const SCHEDULES_SET = 'anysignals:schedules';
+
+// Batch IDs kept per schedule (batches themselves expire after 48 hours)
+const MAX_BATCH_HISTORY = 100;
+
+let schedulesQueue = null;
+
+/**
+ * Get or create the queue that holds the job schedulers
+ * @returns {Queue}
+ */
+function getSchedulesQueue() {
+  if (!schedulesQueue) {
+    schedulesQueue = new Queue(SCHEDULES_QUEUE_NAME, {
+      connection: queue.getRedisConnection(),
+      defaultJobOptions: {
+        removeOnComplete: { count: 100 },
+        removeOnFail: { count: 100 }
+      }
+    });
+
+    schedulesQueue.on('error', (err) => {
+      logger.error('Schedules queue error', { error: err.message });
+    });
+  }
+  return schedulesQueue;
+}
+
+/**
+ * Get the Redis key for a schedule
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {string}
+ */
+function scheduleKey(scheduleId) {
+  return `anysignals:schedule:${scheduleId}`;
+}
+
+/**
+ * Build an error carrying an HTTP status for the API layer
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function scheduleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build BullMQ repeat options for a schedule
+ * @param {object} schedule - Parsed schedule
+ * @returns {object}
+ */
+function getRepeatOptions(schedule) {
+  return schedule.cron
+    ? { pattern: schedule.cron, tz: schedule.timezone || undefined }
+    : { every: schedule.everySeconds * 1000 };
+}
+
+/**
+ * Create or update the BullMQ job scheduler for a schedule
+ * @param {object} schedule - Parsed schedule
+ * @returns {Promise<void>}
+ */
+async function upsertScheduler(schedule) {
+  try {
+    await getSchedulesQueue().upsertJobScheduler(schedule.id, getRepeatOptions(schedule), {
+      name: 'run-schedule',
+      data: { scheduleId: schedule.id }
+    });
+  } catch (error) {
+    // BullMQ rejects invalid cron patterns here
+    throw scheduleError(400, `Invalid schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a schedule hash into its public shape
+ * @param {object} hash - Raw Redis hash
+ * @returns {object}
+ */
+function parseSchedule(hash) {
+  return {
+    id: hash.id,
+    name: hash.name || null,
+    tool: hash.tool,
+    records: JSON.parse(hash.records),
+    cron: hash.cron || null,
+    timezone: hash.timezone || null,
+    everySeconds: hash.everySeconds ? parseInt(hash.everySeconds, 10) : null,
+    batchOptions: JSON.parse(hash.batchOptions),
+    clientId: hash.clientId || null,
+    state: hash.state,
+    runCount: parseInt(hash.runCount, 10) || 0,
+    lastRunAt: hash.lastRunAt || null,
+    lastBatchId: hash.lastBatchId || null,
+    createdAt: hash.createdAt,
+    pausedAt: hash.pausedAt || null
+  };
+}
+
+/**
+ * Get the next run time for an active schedule
+ * @param {object} schedule - Parsed schedule
+ * @returns {Promise<string|null>}
+ */
+async function getNextRunAt(schedule) {
+  if (schedule.state !== 'active') {
+    return null;
+  }
+  const scheduler = await getSchedulesQueue().getJobScheduler(schedule.id);
+  return scheduler?.next ? new Date(scheduler.next).toISOString() : null;
+}
+
+/**
+ * Create a schedule and start its job scheduler
+ *
+ * @param {object} options - Schedule settings
+ * @param {string} options.name - Optional label
+ * @param {string} options.tool - Tool name for every run
+ * @param {object[]} options.records - Records queued on every run
+ * @param {string} options.cron - Cron pattern (mutually exclusive with everySeconds)
+ * @param {string} options.timezone - Time zone for the cron pattern
+ * @param {number} options.everySeconds - Fixed interval between runs
+ * @param {object} options.batchOptions - Options passed to queue.addBatch (callbacks, priority, weight)
+ * @param {string} options.clientId - API client that owns the schedule
+ * @returns {Promise<object>} - Created schedule
+ */
+async function createSchedule(options) {
+  const redis = queue.getRedisConnection();
+  const id = `sched_${uuidv4().split('-')[0]}`;
+
+  // The callback secret is kept out of batchOptions so it is never returned by the API
+  const { callbackSecret, ...batchOptions } = options.batchOptions || {};
+
+  const hash = {
+    id,
+    tool: options.tool,
+    records: JSON.stringify(options.records),
+    batchOptions: JSON.stringify(batchOptions),
+    state: 'active',
+    runCount: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  if (options.name) hash.name = options.name;
+  if (options.cron) hash.cron = options.cron;
+  if (options.timezone) hash.timezone = options.timezone;
+  if (options.everySeconds) hash.everySeconds = options.everySeconds;
+  if (options.clientId) hash.clientId = options.clientId;
+  if (callbackSecret) hash.callbackSecret = callbackSecret;
+
+  const schedule = parseSchedule(hash);
+
+  // Save the definition first - an interval scheduler can fire as soon as it is created
+  await redis.multi()
+    .hset(scheduleKey(id), hash)
+    .sadd(SCHEDULES_SET, id)
+    .exec();
+
+  try {
+    await upsertScheduler(schedule);
+  } catch (error) {
+    await redis.multi().del(scheduleKey(id)).srem(SCHEDULES_SET, id).exec();
+    throw error;
+  }
+
+  logger.info('Schedule created', {
+    scheduleId: id,
+    tool: schedule.tool,
+    cron: schedule.cron,
+    everySeconds: schedule.everySeconds,
+    recordCount: schedule.records.length,
+    clientId: schedule.clientId
+  });
+
+  return { ...schedule, nextRunAt: await getNextRunAt(schedule) };
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Promise<object|null>}
+ */
+async function getSchedule(scheduleId) {
+  const redis = queue.getRedisConnection();
+  const hash = await redis.hgetall(scheduleKey(scheduleId));
+
+  if (!hash || !hash.id) {
+    return null;
+  }
+
+  const schedule = parseSchedule(hash);
+  const [nextRunAt, recentBatchIds] = await Promise.all([
+    getNextRunAt(schedule),
+    redis.lrange(`${scheduleKey(scheduleId)}:batches`, 0, 9)
+  ]);
+
+  return { ...schedule, nextRunAt, recentBatchIds };
+}
+
+/**
+ * List schedules, optionally only those owned by one client
+ * @param {string} clientId - Only return this client's schedules (omit for all)
+ * @returns {Promise<object[]>}
+ */
+async function listSchedules(clientId) {
+  const redis = queue.getRedisConnection();
+  const ids = await redis.smembers(SCHEDULES_SET);
+
+  const schedules = await Promise.all(ids.map(getSchedule));
+  return schedules
+    .filter(schedule => schedule && (!clientId || schedule.clientId === clientId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Stop a schedule from firing until it is resumed
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Promise<object|null>} - Updated schedule, or null if not found
+ */
+async function pauseSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.state === 'paused') {
+    throw scheduleError(409, 'Schedule is already paused');
+  }
+
+  await getSchedulesQueue().removeJobScheduler(scheduleId);
+  await queue.getRedisConnection().hset(scheduleKey(scheduleId), {
+    state: 'paused',
+    pausedAt: new Date().toISOString()
+  });
+
+  logger.info('Schedule paused', { scheduleId });
+
+  return getSchedule(scheduleId);
+}
+
+/**
+ * Start a paused schedule again
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Promise<object|null>} - Updated schedule, or null if not found
+ */
+async function resumeSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.state !== 'paused') {
+    throw scheduleError(409, 'Schedule is not paused');
+  }
+
+  await upsertScheduler(schedule);
+  await queue.getRedisConnection().multi()
+    .hset(scheduleKey(scheduleId), 'state', 'active')
+    .hdel(scheduleKey(scheduleId), 'pausedAt')
+    .exec();
+
+  logger.info('Schedule resumed', { scheduleId });
+
+  return getSchedule(scheduleId);
+}
+
+/**
+ * Delete a schedule (batches it already started keep running)
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Promise<object|null>} - Deleted schedule, or null if not found
+ */
+async function deleteSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    return null;
+  }
+
+  await getSchedulesQueue().removeJobScheduler(scheduleId);
+  await queue.getRedisConnection().multi()
+    .del(scheduleKey(scheduleId))
+    .del(`${scheduleKey(scheduleId)}:batches`)
+    .srem(SCHEDULES_SET, scheduleId)
+    .exec();
+
+  logger.info('Schedule deleted', { scheduleId });
+
+  return schedule;
+}
+
+/**
+ * Queue one run of a schedule as a new batch (called by the worker when the scheduler fires)
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Promise<string|null>} - Batch ID, or null if the schedule should not run
+ */
+async function runSchedule(scheduleId) {
+  const redis = queue.getRedisConnection();
+  const hash = await redis.hgetall(scheduleKey(scheduleId));
+
+  if (!hash || !hash.id) {
+    // Definition is gone - stop the orphaned scheduler
+    logger.warn('Removing scheduler for missing schedule', { scheduleId });
+    await getSchedulesQueue().removeJobScheduler(scheduleId);
+    return null;
+  }
+
+  const schedule = parseSchedule(hash);
+  if (schedule.state !== 'active') {
+    return null;
+  }
+
+  // Admin schedules have no client record; client schedules stop running once the key is revoked
+  if (schedule.clientId) {
+    const client = await clients.getClient(schedule.clientId);
+    if (client?.revoked) {
+      logger.warn('Skipping schedule run for revoked client', { scheduleId, clientId: schedule.clientId });
+      return null;
+    }
+  }
+
+  const batchId = `batch_${uuidv4().split('-')[0]}`;
+  await queue.addBatch(batchId, schedule.tool, schedule.records, {
+    ...schedule.batchOptions,
+    callbackSecret: hash.callbackSecret,
+    clientId: schedule.clientId || undefined,
+    scheduleId
+  });
+
+  await redis.multi()
+    .hset(scheduleKey(scheduleId), { lastRunAt: new Date().toISOString(), lastBatchId: batchId })
+    .hincrby(scheduleKey(scheduleId), 'runCount', 1)
+    .lpush(`${scheduleKey(scheduleId)}:batches`, batchId)
+    .ltrim(`${scheduleKey(scheduleId)}:batches`, 0, MAX_BATCH_HISTORY - 1)
+    .exec();
+
+  logger.info('Schedule run queued', {
+    scheduleId,
+    batchId,
+    tool: schedule.tool,
+    recordCount: schedule.records.length
+  });
+
+  return batchId;
+}
+
+/**
+ * Close the schedules queue connection
+ */
+async function shutdown() {
+  if (schedulesQueue) {
+    await schedulesQueue.close();
+    schedulesQueue = null;
+  }
+}
+
+module.exports = {
+  SCHEDULES_QUEUE_NAME,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  runSchedule,
+  shutdown
+};
@@ -6,8 +6,43 @@
  * - method: HTTP method (all are POST for AnySite)
  * - requiredParams: Parameters that must be provided
  * - optionalParams: Parameters that can be provided
+ * - normalize: Normalizers that canonicalize identifier params before queueing (see normalizers.js)
+ * - rateBucket: Rate budget the tool draws from (see RATE_BUCKETS)
+ * - cacheTtlSeconds: How long a result can answer identical requests (0 disables caching)
+ * - pagination: How a large `count` is fetched as several pages (see pagination.js)
  * - description: Human-readable description for logging/debugging
+ *
+ * Param types, ranges, enums and defaults are defined per tool in tool-schemas.js.
+ */
+
+const crypto = require('crypto');
+const normalizers = require('./normalizers');
+const { validateToolParams } = require('./tool-schemas');
+
+/**
+ * Rate budgets per bucket. AnySite limits each platform separately, so every bucket is
+ * processed by its own queue and limiter and a LinkedIn backlog does not delay SEC lookups.
+ *
+ * Buckets without a budget use the default drip (1 job per DRIP_INTERVAL_MS).
+ * Override any bucket with RATE_LIMIT_<BUCKET>=<max>/<durationMs>, e.g. RATE_LIMIT_SEC=30/60000.
+ */
+const DEFAULT_RATE_BUCKET = 'default';
+
+const RATE_BUCKETS = {
+  linkedin: { max: 6, durationMs: 60000 },
+  instagram: null,
+  twitter: null,
+  reddit: null,
+  sec: { max: 30, durationMs: 60000 }
+};
+
+/**
+ * Cursor pagination used by AnySite list endpoints: a response is {data: [...items], next_cursor},
+ * and its `next_cursor` is sent as `cursor` to get the next page. A bare list is a single page with
+ * no cursor. Tools add their page size (max `count` per call) and page limit; records may ask for
+ * up to pageSize * maxPages items.
  */
+const CURSOR_PAGINATION = { cursorParam: 'cursor', cursorField: 'next_cursor', itemsField: 'data' };
 
 const TOOL_REGISTRY = {
   // ===========================================================================
@@ -18,6 +53,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user'],
     optionalParams: ['with_experience', 'with_education', 'with_skills', 'timeout'],
+    normalize: { user: normalizers.linkedinUser },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 86400,
     description: 'Get LinkedIn profile data'
   },
   'search_linkedin_users': {
@@ -25,6 +63,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['count'],
     optionalParams: ['keywords', 'first_name', 'last_name', 'title', 'company', 'location', 'industry', 'timeout'],
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Search for LinkedIn users'
   },
   'get_linkedin_user_posts': {
@@ -32,6 +73,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['urn'],
     optionalParams: ['count', 'timeout'],
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
     description: 'Get posts from a LinkedIn user'
   },
 
@@ -43,6 +86,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['company'],
     optionalParams: ['timeout'],
+    normalize: { company: normalizers.linkedinCompany },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 86400,
     description: 'Get LinkedIn company data'
   },
   'get_linkedin_company_posts': {
@@ -50,6 +96,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['urn'],
     optionalParams: ['count', 'timeout'],
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
     description: 'Get posts from a LinkedIn company'
   },
   'search_linkedin_companies': {
@@ -57,6 +105,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['count'],
     optionalParams: ['keywords', 'location', 'industry', 'company_size', 'timeout'],
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
     description: 'Search for LinkedIn companies'
   },
   'get_linkedin_company_employees': {
@@ -64,6 +114,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['company', 'count'],
     optionalParams: ['keywords', 'title', 'timeout'],
+    normalize: { company: normalizers.linkedinCompany },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 86400,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get employees of a LinkedIn company'
   },
 
@@ -75,6 +129,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['count'],
     optionalParams: ['keywords', 'sort', 'date_posted', 'authors', 'author_industries', 'author_title', 'content_type', 'mentioned', 'timeout'],
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
     description: 'Search for LinkedIn posts'
   },
   'get_linkedin_post': {
@@ -82,6 +138,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['urn'],
     optionalParams: ['include_all_document_images', 'timeout'],
+    normalize: { urn: normalizers.linkedinPost },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 21600,
     description: 'Get a specific LinkedIn post'
   },
   'get_linkedin_post_comments': {
@@ -89,6 +148,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['urn', 'count'],
     optionalParams: ['sort', 'timeout'],
+    normalize: { urn: normalizers.linkedinPost },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get comments on a LinkedIn post'
   },
   'get_linkedin_post_reactions': {
@@ -96,6 +159,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['urn', 'count'],
     optionalParams: ['timeout'],
+    normalize: { urn: normalizers.linkedinPost },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get reactions on a LinkedIn post'
   },
 
@@ -107,6 +174,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['group'],
     optionalParams: ['timeout'],
+    normalize: { group: normalizers.linkedinGroup },
+    rateBucket: 'linkedin',
+    cacheTtlSeconds: 86400,
     description: 'Get LinkedIn group data'
   },
 
@@ -118,6 +188,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.instagramUser },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 86400,
     description: 'Get Instagram user profile'
   },
   'get_instagram_user_posts': {
@@ -125,6 +198,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.instagramUser },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
     description: 'Get posts from an Instagram user'
   },
   'get_instagram_post': {
@@ -132,6 +208,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post'],
     optionalParams: ['timeout'],
+    normalize: { post: normalizers.instagramPost },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 21600,
     description: 'Get a specific Instagram post'
   },
   'get_instagram_post_comments': {
@@ -139,6 +218,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post', 'count'],
     optionalParams: ['timeout'],
+    normalize: { post: normalizers.instagramPost },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get comments on an Instagram post'
   },
   'get_instagram_post_likes': {
@@ -146,6 +229,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post', 'count'],
     optionalParams: ['timeout'],
+    normalize: { post: normalizers.instagramPost },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get likes on an Instagram post'
   },
   'search_instagram_posts': {
@@ -153,6 +240,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['query', 'count'],
     optionalParams: ['timeout'],
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
     description: 'Search for Instagram posts'
   },
   'get_instagram_user_followers': {
@@ -160,6 +249,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.instagramUser },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get followers of an Instagram user'
   },
   'get_instagram_user_following': {
@@ -167,6 +260,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.instagramUser },
+    rateBucket: 'instagram',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get accounts an Instagram user follows'
   },
 
@@ -178,6 +275,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.twitterUser },
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 86400,
     description: 'Get Twitter/X user profile'
   },
   'get_twitter_user_tweets': {
@@ -185,6 +285,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.twitterUser },
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get tweets from a Twitter/X user'
   },
   'search_twitter_posts': {
@@ -192,6 +296,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['query', 'count'],
     optionalParams: ['timeout'],
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Search for Twitter/X posts'
   },
   'get_twitter_post': {
@@ -199,6 +306,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post'],
     optionalParams: ['timeout'],
+    normalize: { post: normalizers.twitterPost },
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 21600,
     description: 'Get a specific Twitter/X post'
   },
   'get_twitter_user_followers': {
@@ -206,6 +316,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.twitterUser },
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get followers of a Twitter/X user'
   },
   'get_twitter_user_following': {
@@ -213,6 +327,10 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user', 'count'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.twitterUser },
+    rateBucket: 'twitter',
+    cacheTtlSeconds: 3600,
+    pagination: { ...CURSOR_PAGINATION, pageSize: 50, maxPages: 20 },
     description: 'Get accounts a Twitter/X user follows'
   },
 
@@ -224,6 +342,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['query', 'count'],
     optionalParams: ['subreddit', 'sort', 'time_filter', 'timeout'],
+    normalize: { subreddit: normalizers.redditSubreddit },
+    rateBucket: 'reddit',
+    cacheTtlSeconds: 3600,
     description: 'Search for Reddit posts'
   },
   'get_reddit_post': {
@@ -231,6 +352,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post_url'],
     optionalParams: ['timeout'],
+    normalize: { post_url: normalizers.redditPostUrl },
+    rateBucket: 'reddit',
+    cacheTtlSeconds: 21600,
     description: 'Get a specific Reddit post'
   },
   'get_reddit_post_comments': {
@@ -238,6 +362,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['post_url'],
     optionalParams: ['count', 'sort', 'timeout'],
+    normalize: { post_url: normalizers.redditPostUrl },
+    rateBucket: 'reddit',
+    cacheTtlSeconds: 3600,
     description: 'Get comments on a Reddit post'
   },
   'get_reddit_user': {
@@ -245,6 +372,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['user'],
     optionalParams: ['timeout'],
+    normalize: { user: normalizers.redditUser },
+    rateBucket: 'reddit',
+    cacheTtlSeconds: 86400,
     description: 'Get Reddit user profile'
   },
   'get_reddit_subreddit': {
@@ -252,6 +382,9 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['subreddit'],
     optionalParams: ['timeout'],
+    normalize: { subreddit: normalizers.redditSubreddit },
+    rateBucket: 'reddit',
+    cacheTtlSeconds: 86400,
     description: 'Get subreddit information'
   },
 
@@ -263,6 +396,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: [],
     optionalParams: ['forms', 'entityName', 'locationCodes', 'dateRange', 'count', 'timeout'],
+    rateBucket: 'sec',
+    cacheTtlSeconds: 86400,
     description: 'Search SEC EDGAR for companies'
   },
   'get_sec_document': {
@@ -270,6 +405,8 @@ const TOOL_REGISTRY = {
     method: 'POST',
     requiredParams: ['url'],
     optionalParams: ['timeout'],
+    rateBucket: 'sec',
+    cacheTtlSeconds: 604800,
     description: 'Get an SEC document'
   }
 };
@@ -317,6 +454,147 @@ function validateParams(toolName, params) {
   };
 }
 
+/**
+ * Canonicalize a record's identifier params with the tool's normalizers
+ * Params without a normalizer pass through unchanged, as do empty values (validateParams reports those).
+ * @param {string} toolName - Name of the tool
+ * @param {object} params - Parameters to normalize
+ * @returns {{ params: object, errors: string[] }} - Normalized copy of params, and a message per invalid param
+ */
+function normalizeParams(toolName, params) {
+  const normalized = { ...params };
+  const errors = [];
+
+  for (const [param, normalize] of Object.entries(getTool(toolName)?.normalize || {})) {
+    const value = params[param];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    const canonical = normalize(value);
+    if (canonical === null) {
+      errors.push(`"${param}" must be a ${normalize.label}`);
+    } else {
+      normalized[param] = canonical;
+    }
+  }
+
+  return { params: normalized, errors };
+}
+
+/**
+ * Check a record before it is queued: schema first (types, ranges, defaults), then identifier normalization
+ * @param {string} toolName - Name of the tool
+ * @param {object} params - Record params
+ * @returns {{ params: object, errors: string[] }} - Params ready to queue, and a message per problem
+ */
+function validateRecord(toolName, params) {
+  const checked = validateToolParams(toolName, params);
+  if (checked.errors.length > 0) {
+    return checked;
+  }
+  return normalizeParams(toolName, checked.params);
+}
+
+// Params that identify the row or tune the call rather than change what AnySite returns
+const NON_IDENTIFYING_PARAMS = ['rowId', 'timeout'];
+
+/**
+ * Canonicalize a param value so equivalent requests compare equal
+ * Strings are trimmed, empty values dropped and object keys sorted.
+ * @param {*} value - Param value
+ * @returns {*}
+ */
+function normalizeValue(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      const item = normalizeValue(value[key]);
+      if (item !== undefined && item !== null && item !== '') {
+        normalized[key] = item;
+      }
+    }
+    return normalized;
+  }
+  return value;
+}
+
+/**
+ * Build a stable key identifying a tool call by its tool and normalized params
+ * Two records that would make the same AnySite request get the same key.
+ * @param {string} toolName - Name of the tool
+ * @param {object} params - Request params (rowId and timeout are ignored)
+ * @returns {string} - `<tool>:<sha256 of normalized params>`
+ */
+function getRequestKey(toolName, params) {
+  const identifying = { ...params };
+  for (const param of NON_IDENTIFYING_PARAMS) {
+    delete identifying[param];
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(normalizeValue(identifying)))
+    .digest('hex');
+  return `${toolName}:${hash}`;
+}
+
+/**
+ * Get the rate bucket a tool draws from
+ * @param {string} toolName - Name of the tool
+ * @returns {string}
+ */
+function getToolRateBucket(toolName) {
+  return getTool(toolName)?.rateBucket || DEFAULT_RATE_BUCKET;
+}
+
+/**
+ * Get the rate budget for a bucket
+ *
+ * Precedence: runtime override, RATE_LIMIT_<BUCKET> env var, RATE_BUCKETS, then the drip interval.
+ *
+ * @param {string} bucket - Rate bucket name
+ * @param {object} runtimeConfig - Live config from queue.getRuntimeConfig (optional)
+ * @param {number} runtimeConfig.dripIntervalMs - Drip interval for buckets without a budget
+ * @param {object} runtimeConfig.rateLimits - Per-bucket {max, durationMs} overrides
+ * @returns {{max: number, durationMs: number}}
+ */
+function getRateLimit(bucket, runtimeConfig = {}) {
+  if (runtimeConfig.rateLimits?.[bucket]) {
+    return { ...runtimeConfig.rateLimits[bucket] };
+  }
+
+  const override = process.env[`RATE_LIMIT_${bucket.toUpperCase()}`];
+  if (override) {
+    const [max, durationMs] = override.split('/').map(value => parseInt(value, 10));
+    if (max > 0 && durationMs > 0) {
+      return { max, durationMs };
+    }
+  }
+
+  if (RATE_BUCKETS[bucket]) {
+    return { ...RATE_BUCKETS[bucket] };
+  }
+
+  return {
+    max: 1,
+    durationMs: runtimeConfig.dripIntervalMs || parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000
+  };
+}
+
+/**
+ * Get all rate bucket names, including the default bucket
+ * @returns {string[]}
+ */
+function listRateBuckets() {
+  return [DEFAULT_RATE_BUCKET, ...Object.keys(RATE_BUCKETS)];
+}
+
 /**
  * Get list of all available tools
  * @returns {string[]}
@@ -368,9 +646,17 @@ function getToolsByCategory() {
 
 module.exports = {
   TOOL_REGISTRY,
+  RATE_BUCKETS,
+  DEFAULT_RATE_BUCKET,
+  getToolRateBucket,
+  getRateLimit,
+  listRateBuckets,
   getTool,
   toolExists,
   validateParams,
+  normalizeParams,
+  validateRecord,
+  getRequestKey,
   listTools,
   getToolsByCategory
 };
@@ -0,0 +1,244 @@
+/**
+ * Tool Schemas - Typed parameter schemas per tool, checked before records are queued
+ *
+ * TOOL_REGISTRY lists which params a tool takes; these schemas add types, ranges, enums and
+ * defaults so a record like `count: "ten"` is rejected at the API instead of failing at AnySite
+ * after it has waited for a drip slot. Every record may also carry a `rowId`. Unknown params
+ * are rejected.
+ */
+
+const Joi = require('joi');
+
+// =============================================================================
+// Shared Params
+// =============================================================================
+
+const text = Joi.string().trim().min(1).max(500);
+const textOrList = Joi.alternatives().try(text, Joi.array().items(text).min(1).max(50));
+
+/**
+ * Result count param
+ * @param {object} options - Range and default
+ * @param {number} options.max - Largest count per request (default: 100)
+ * @param {number} options.defaultValue - Value used when the param is omitted
+ * @returns {Joi.NumberSchema}
+ */
+function count({ max = 100, defaultValue } = {}) {
+  const schema = Joi.number().integer().min(1).max(max);
+  return defaultValue === undefined ? schema : schema.default(defaultValue);
+}
+
+// Largest count for tools that fetch it in pages (pageSize * maxPages in TOOL_REGISTRY)
+const PAGINATED_MAX_COUNT = 1000;
+
+// Params accepted by every tool
+const COMMON_PARAMS = {
+  rowId: Joi.alternatives().try(Joi.string().max(200), Joi.number()),
+  timeout: Joi.number().integer().min(1).max(600)
+};
+
+/**
+ * Build a tool schema from its own params plus the common ones
+ * @param {object} params - Joi schemas keyed by param name
+ * @returns {Joi.ObjectSchema}
+ */
+function toolSchema(params) {
+  return Joi.object({ ...COMMON_PARAMS, ...params });
+}
+
+// =============================================================================
+// Schemas
+// =============================================================================
+
+const TOOL_SCHEMAS = {
+  // LinkedIn - profiles & users
+  'get_linkedin_profile': toolSchema({
+    user: text.required(),
+    with_experience: Joi.boolean().default(true),
+    with_education: Joi.boolean().default(true),
+    with_skills: Joi.boolean().default(true)
+  }),
+  'search_linkedin_users': toolSchema({
+    count: count({ max: PAGINATED_MAX_COUNT }).required(),
+    keywords: text,
+    first_name: text,
+    last_name: text,
+    title: text,
+    company: textOrList,
+    location: textOrList,
+    industry: textOrList
+  }),
+  'get_linkedin_user_posts': toolSchema({
+    urn: text.required(),
+    count: count({ defaultValue: 10 })
+  }),
+
+  // LinkedIn - companies
+  'get_linkedin_company': toolSchema({
+    company: text.required()
+  }),
+  'get_linkedin_company_posts': toolSchema({
+    urn: text.required(),
+    count: count({ defaultValue: 10 })
+  }),
+  'search_linkedin_companies': toolSchema({
+    count: count().required(),
+    keywords: text,
+    location: textOrList,
+    industry: textOrList,
+    company_size: textOrList
+  }),
+  'get_linkedin_company_employees': toolSchema({
+    company: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required(),
+    keywords: text,
+    title: text
+  }),
+
+  // LinkedIn - posts & engagement
+  'search_linkedin_posts': toolSchema({
+    count: count().required(),
+    keywords: text,
+    sort: Joi.string().valid('relevance', 'date_posted').default('relevance'),
+    date_posted: Joi.string().valid('past-24h', 'past-week', 'past-month'),
+    authors: textOrList,
+    author_industries: textOrList,
+    author_title: text,
+    content_type: Joi.string().valid('videos', 'photos', 'jobs', 'live_videos', 'documents', 'collaborative_articles'),
+    mentioned: textOrList
+  }),
+  'get_linkedin_post': toolSchema({
+    urn: text.required(),
+    include_all_document_images: Joi.boolean().default(false)
+  }),
+  'get_linkedin_post_comments': toolSchema({
+    urn: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required(),
+    sort: Joi.string().valid('relevance', 'recent').default('relevance')
+  }),
+  'get_linkedin_post_reactions': toolSchema({
+    urn: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+
+  // LinkedIn - groups
+  'get_linkedin_group': toolSchema({
+    group: text.required()
+  }),
+
+  // Instagram
+  'get_instagram_user': toolSchema({
+    user: text.required()
+  }),
+  'get_instagram_user_posts': toolSchema({
+    user: text.required(),
+    count: count().required()
+  }),
+  'get_instagram_post': toolSchema({
+    post: text.required()
+  }),
+  'get_instagram_post_comments': toolSchema({
+    post: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'get_instagram_post_likes': toolSchema({
+    post: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'search_instagram_posts': toolSchema({
+    query: text.required(),
+    count: count().required()
+  }),
+  'get_instagram_user_followers': toolSchema({
+    user: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'get_instagram_user_following': toolSchema({
+    user: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+
+  // Twitter / X
+  'get_twitter_user': toolSchema({
+    user: text.required()
+  }),
+  'get_twitter_user_tweets': toolSchema({
+    user: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'search_twitter_posts': toolSchema({
+    query: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'get_twitter_post': toolSchema({
+    post: text.required()
+  }),
+  'get_twitter_user_followers': toolSchema({
+    user: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+  'get_twitter_user_following': toolSchema({
+    user: text.required(),
+    count: count({ max: PAGINATED_MAX_COUNT }).required()
+  }),
+
+  // Reddit
+  'search_reddit_posts': toolSchema({
+    query: text.required(),
+    count: count().required(),
+    subreddit: text,
+    sort: Joi.string().valid('relevance', 'hot', 'top', 'new', 'comments').default('relevance'),
+    time_filter: Joi.string().valid('hour', 'day', 'week', 'month', 'year', 'all').default('all')
+  }),
+  'get_reddit_post': toolSchema({
+    post_url: text.required()
+  }),
+  'get_reddit_post_comments': toolSchema({
+    post_url: text.required(),
+    count: count({ defaultValue: 20 }),
+    sort: Joi.string().valid('best', 'top', 'new', 'controversial', 'old', 'qa').default('best')
+  }),
+  'get_reddit_user': toolSchema({
+    user: text.required()
+  }),
+  'get_reddit_subreddit': toolSchema({
+    subreddit: text.required()
+  }),
+
+  // SEC EDGAR
+  'search_sec_companies': toolSchema({
+    forms: textOrList,
+    entityName: text,
+    locationCodes: textOrList,
+    dateRange: Joi.object(),
+    count: count({ defaultValue: 10 })
+  }),
+  'get_sec_document': toolSchema({
+    url: Joi.string().uri({ scheme: ['https', 'http'] }).required()
+  })
+};
+
+/**
+ * Check a record against its tool's schema
+ * @param {string} toolName - Name of the tool
+ * @param {object} params - Record params
+ * @returns {{ params: object, errors: string[] }} - Params with types converted and defaults applied,
+ *   and one message per problem (empty when valid)
+ */
+function validateToolParams(toolName, params) {
+  const schema = TOOL_SCHEMAS[toolName];
+  if (!schema) {
+    return { params, errors: [`Unknown tool: ${toolName}`] };
+  }
+
+  const { error, value } = schema.validate(params, { abortEarly: false });
+  return {
+    params: value,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+}
+
+module.exports = {
+  TOOL_SCHEMAS,
+  validateToolParams
+};
@@ -12,7 +12,24 @@ const { v4: uuidv4 } = require('uuid');
 
 const logger = require('./lib/logger');
 const queue = require('./lib/queue');
-const { toolExists, listTools } = require('./lib/tool-registry');
+const {
+  toolExists,
+  listTools,
+  getToolRateBucket,
+  getRateLimit,
+  listRateBuckets,
+  validateRecord
+} = require('./lib/tool-registry');
+const { EXPORT_FORMATS, writeBatchExport } = require('./lib/export');
+const callbackOutbox = require('./lib/callback-outbox');
+const adaptiveRate = require('./lib/adaptive-rate');
+const clients = require('./lib/clients');
+const schedules = require('./lib/schedules');
+const pipelines = require('./lib/pipelines');
+const jsonPath = require('./lib/json-path');
+const projection = require('./lib/projection');
+const { MAX_RETENTION_DAYS } = require('./lib/result-sink');
+const { safeCompare } = clients;
 
 // =============================================================================
 // Configuration
@@ -21,25 +38,158 @@ const { toolExists, listTools } = require('./lib/tool-registry');
 const PORT = parseInt(process.env.PORT, 10) || 3456;
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 2000;
-const DRIP_INTERVAL_MS = parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000;
+
+// Priority of requests that do not ask for one (1=high, 10=low)
+const DEFAULT_PRIORITY = 5;
 
 // =============================================================================
 // Validation Schemas
 // =============================================================================
 
+// JSON path into an AnySite response, e.g. `$.data[*]`
+const pathSchema = Joi.string().max(200).custom((value, helpers) => (
+  jsonPath.isValidPath(value) ? value : helpers.error('any.invalid')
+));
+
+// Response projection: keep `fields` (paths) and/or `mapping` (output name -> path), or use a saved `preset`
+const projectionKeys = {
+  fields: Joi.array().items(pathSchema).min(1).max(100).optional(),
+  mapping: Joi.object().pattern(/^.{1,100}$/, pathSchema).min(1).max(100).optional(),
+  preset: Joi.string().max(64).optional()
+};
+
 const batchSchema = Joi.object({
   tool: Joi.string().required(),
-  records: Joi.array().items(Joi.object()).min(1).max(MAX_BATCH_SIZE).required(),
+  // Records are checked one by one against the tool's schema (see validateRecords)
+  records: Joi.array().items(Joi.any()).min(1).max(MAX_BATCH_SIZE).required(),
+  // 'partial' queues the valid records and reports the rest; 'strict' rejects the batch if any record is invalid
+  mode: Joi.string().valid('strict', 'partial').default('strict'),
   callbackUrl: Joi.string().uri().optional(),
-  priority: Joi.number().integer().min(1).max(10).default(5)
+  completionCallbackUrl: Joi.string().uri().optional(),
+  callbackSecret: Joi.string().min(16).optional(),
+  callbackMode: Joi.string().valid('row', 'grouped').default('row'),
+  callbackGroupSize: Joi.number().integer().min(1).max(1000).default(50),
+  callbackGroupIntervalSeconds: Joi.number().integer().min(1).max(3600).default(30),
+  // 'changed' skips per-row callbacks when the result matches the previous run for the same params
+  callbackOn: Joi.string().valid('always', 'changed').default('always'),
+  // Diff each result against this client's previous run of the same request (implied by callbackOn 'changed')
+  detectChanges: Joi.boolean().default(false),
+  // 'prefer' answers rows from the client's own result cache when possible; 'bypass' always calls AnySite
+  cache: Joi.string().valid('prefer', 'bypass').default('bypass'),
+  // Duplicate records always share one job; 'queue' also joins jobs from earlier batches that have not started
+  dedupe: Joi.string().valid('batch', 'queue').default('batch'),
+  // Path to a list in the response - callbacks and results then have one record per list item
+  explode: pathSchema.optional(),
+  ...projectionKeys,
+  // Days to keep the batch in the result sink after it finishes (default RESULT_RETENTION_DAYS; 0 = Redis only)
+  retentionDays: Joi.number().integer().min(0).max(MAX_RETENTION_DAYS).optional(),
+  // Defaults to 5, or the client's priority ceiling if that is lower
+  priority: Joi.number().integer().min(1).max(10).optional()
+}).oxor('preset', 'fields').oxor('preset', 'mapping');
+
+// A schedule re-runs the same batch on a cron pattern or a fixed interval
+const scheduleSchema = batchSchema.keys({
+  name: Joi.string().max(100).optional(),
+  cron: Joi.string().max(100),
+  timezone: Joi.string().max(64).optional(),
+  everySeconds: Joi.number().integer().min(60)
+}).xor('cron', 'everySeconds').oxor('timezone', 'everySeconds');
+
+// Later pipeline steps build their params from each item the previous step's `forEach` path picks out
+const pipelineStepSchema = Joi.object({
+  tool: Joi.string().required(),
+  forEach: pathSchema.optional(),
+  explode: pathSchema.optional(),
+  ...projectionKeys,
+  // Values starting with `$` are JSON paths into the item; anything else is passed as is
+  params: Joi.object().pattern(/./, Joi.any().when(Joi.string().pattern(/^\$/), { then: pathSchema })).default({}),
+  limit: Joi.number().integer().min(1).max(1000).default(pipelines.DEFAULT_STEP_LIMIT)
+}).oxor('preset', 'fields').oxor('preset', 'mapping');
+
+// A pipeline's records are the first step's params; each step sets its own `explode` and projection
+const pipelineSchema = batchSchema.keys({
+  tool: Joi.forbidden(),
+  explode: Joi.forbidden(),
+  fields: Joi.forbidden(),
+  mapping: Joi.forbidden(),
+  preset: Joi.forbidden(),
+  steps: Joi.array()
+    .ordered(Joi.object({
+      tool: Joi.string().required(),
+      explode: pathSchema.optional(),
+      ...projectionKeys
+    }).oxor('preset', 'fields').oxor('preset', 'mapping'))
+    .items(pipelineStepSchema)
+    .min(2)
+    .max(5)
+    .required()
 });
 
 const singleSchema = Joi.object({
   tool: Joi.string().required(),
   params: Joi.object().required(),
   callbackUrl: Joi.string().uri().optional(),
+  callbackOn: Joi.string().valid('always', 'changed').default('always'),
+  // Diff each result against this client's previous run of the same request (implied by callbackOn 'changed')
+  detectChanges: Joi.boolean().default(false),
+  cache: Joi.string().valid('prefer', 'bypass').default('bypass'),
+  explode: pathSchema.optional(),
+  ...projectionKeys,
   rowId: Joi.string().optional(),
-  priority: Joi.number().integer().min(1).max(10).default(5)
+  // Defaults to 5, or the client's priority ceiling if that is lower
+  priority: Joi.number().integer().min(1).max(10).optional()
+}).oxor('preset', 'fields').oxor('preset', 'mapping');
+
+const presetSchema = Joi.object({
+  tool: Joi.string().valid(...listTools()).required(),
+  name: Joi.string().pattern(/^[\w-]+$/).max(64).required(),
+  fields: projectionKeys.fields,
+  mapping: projectionKeys.mapping
+}).or('fields', 'mapping');
+
+const presetQuerySchema = Joi.object({
+  tool: Joi.string().valid(...listTools()).optional()
+});
+
+const resultsQuerySchema = Joi.object({
+  results: Joi.string().valid('true'),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.number().integer().min(0).optional(),
+  status: Joi.string().valid('completed', 'failed').optional()
+});
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv'),
+  status: Joi.string().valid('completed', 'failed').optional()
+});
+
+const clientSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  allowedTools: Joi.array().items(Joi.string().valid(...listTools())).unique().default([]),
+  maxBatchSize: Joi.number().integer().min(1).max(MAX_BATCH_SIZE).default(MAX_BATCH_SIZE),
+  priorityCeiling: Joi.number().integer().min(1).max(10).default(5),
+  weight: Joi.number().integer().min(1).max(10).default(1)
+});
+
+const rateLimitSchema = Joi.object({
+  max: Joi.number().integer().min(1).required(),
+  durationMs: Joi.number().integer().min(100).required()
+});
+
+const configSchema = Joi.object({
+  dripIntervalMs: Joi.number().integer().min(100).max(3600000).optional(),
+  // null removes a bucket's override
+  rateLimits: Joi.object().pattern(
+    Joi.string().valid(...listRateBuckets()),
+    rateLimitSchema.allow(null)
+  ).optional(),
+  paused: Joi.boolean().optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
 // =============================================================================
@@ -85,39 +235,178 @@ app.use('/api', apiLimiter);
 // Authentication Middleware
 // =============================================================================
 
-function authenticateRequest(req, res, next) {
+// Identity for requests made with WEBHOOK_SECRET (or any request when it is not configured)
+const ADMIN_CLIENT = {
+  id: 'admin',
+  name: 'admin',
+  admin: true,
+  allowedTools: [],
+  maxBatchSize: MAX_BATCH_SIZE,
+  priorityCeiling: 1,
+  weight: 1
+};
+
+async function authenticateRequest(req, res, next) {
   // Skip auth for health endpoint
   if (req.path === '/api/health') {
     return next();
   }
 
-  const providedSecret = req.headers['x-webhook-secret'];
+  // Client keys may be sent in either header so existing X-Webhook-Secret integrations keep working
+  const providedSecret = req.headers['x-api-key'] || req.headers['x-webhook-secret'];
 
-  if (!WEBHOOK_SECRET) {
-    logger.warn('WEBHOOK_SECRET not configured - requests are not authenticated');
-    return next();
-  }
+  try {
+    // Open mode only lasts until client keys exist - from then on every request needs a valid key
+    if (!WEBHOOK_SECRET && !providedSecret && !(await clients.hasClients())) {
+      logger.warn('WEBHOOK_SECRET not configured - requests are not authenticated');
+      req.client = ADMIN_CLIENT;
+      return next();
+    }
+
+    if (!providedSecret) {
+      logger.warn('Request missing X-Api-Key or X-Webhook-Secret header', { ip: req.ip });
+      return res.status(401).json({
+        error: 'Missing X-Api-Key or X-Webhook-Secret header'
+      });
+    }
+
+    if (WEBHOOK_SECRET && safeCompare(providedSecret, WEBHOOK_SECRET)) {
+      req.client = ADMIN_CLIENT;
+      return next();
+    }
+
+    const client = await clients.findClientByKey(providedSecret);
 
-  if (!providedSecret) {
-    logger.warn('Request missing X-Webhook-Secret header', { ip: req.ip });
-    return res.status(401).json({
-      error: 'Missing X-Webhook-Secret header'
+    if (!client) {
+      logger.warn('Invalid API key provided', { ip: req.ip });
+      return res.status(403).json({
+        error: 'Invalid API key'
+      });
+    }
+
+    if (client.revoked) {
+      logger.warn('Revoked API key used', { ip: req.ip, clientId: client.id });
+      return res.status(403).json({
+        error: 'API key has been revoked'
+      });
+    }
+
+    req.client = client;
+    next();
+
+  } catch (error) {
+    logger.error('Authentication failed', { error: error.message });
+    res.status(500).json({
+      error: 'Authentication failed',
+      message: error.message
     });
   }
+}
 
-  if (providedSecret !== WEBHOOK_SECRET) {
-    logger.warn('Invalid webhook secret provided', { ip: req.ip });
+/**
+ * Restrict a route to the admin identity
+ */
+function requireAdmin(req, res, next) {
+  if (!req.client?.admin) {
     return res.status(403).json({
-      error: 'Invalid webhook secret'
+      error: 'Admin access required'
     });
   }
-
   next();
 }
 
+/**
+ * Check whether the requesting client owns a batch or job
+ * @param {object} client - Requesting client (req.client)
+ * @param {string} ownerId - clientId recorded on the batch or job
+ * @returns {boolean}
+ */
+function canAccess(client, ownerId) {
+  return client.admin || ownerId === client.id;
+}
+
+/**
+ * Check a request against the client's tool, batch size and priority scopes
+ * @param {object} client - Requesting client (req.client)
+ * @param {string} tool - Requested tool
+ * @param {number} recordCount - Number of records in the request
+ * @param {number} priority - Requested priority (optional)
+ * @returns {{status: number, error: string}|null} - null if the request is allowed
+ */
+function getScopeError(client, tool, recordCount, priority) {
+  if (!clients.canUseTool(client, tool)) {
+    return { status: 403, error: `Tool not allowed for this API key: ${tool}` };
+  }
+  if (recordCount > client.maxBatchSize) {
+    return { status: 400, error: `Batch exceeds the max batch size of ${client.maxBatchSize} for this API key` };
+  }
+  if (priority < client.priorityCeiling) {
+    return { status: 400, error: `Priority ${priority} is above the priority ceiling of ${client.priorityCeiling} for this API key` };
+  }
+  return null;
+}
+
+/**
+ * Get the priority a request runs at
+ * @param {object} client - Requesting client (req.client)
+ * @param {number} requested - Priority from the request (optional; checked by getScopeError)
+ * @returns {number} - The requested priority, or 5 held to the client's ceiling
+ */
+function getRequestPriority(client, requested) {
+  return requested ?? Math.max(DEFAULT_PRIORITY, client.priorityCeiling);
+}
+
 // Apply auth to all /api routes except health
 app.use('/api', authenticateRequest);
 
+// Admin and outbox routes expose every client's data
+app.use('/api/admin', requireAdmin);
+app.use('/api/callbacks', requireAdmin);
+
+// =============================================================================
+// Record Validation
+// =============================================================================
+
+/**
+ * Check every record against its tool's schema and canonicalize identifiers, so bad rows are
+ * rejected before they take a drip slot
+ * @param {string} tool - Tool name
+ * @param {object[]} records - Records from the request
+ * @returns {{records: object[], rejected: Array<{index: number, rowId: string|null, errors: string[]}>}}
+ *   Validated records (defaults applied), and every row that failed with its reasons
+ */
+function validateRecords(tool, records) {
+  const rejected = [];
+  const validated = records.map((record, index) => {
+    const result = validateRecord(tool, record);
+    if (result.errors.length > 0) {
+      rejected.push({ index, rowId: record?.rowId ?? null, errors: result.errors });
+    }
+    return result.params;
+  });
+
+  return { records: validated, rejected };
+}
+
+/**
+ * Build a request's projection from its `fields`/`mapping` or a saved `preset`
+ * Presets are resolved when the request is queued, so editing one does not change queued jobs.
+ * @param {object} client - Requesting client (req.client)
+ * @param {string} tool - Tool the projection applies to
+ * @param {object} options - Request options (fields, mapping, preset)
+ * @returns {Promise<{projection: object|undefined, error: string|null}>}
+ */
+async function resolveProjection(client, tool, { fields, mapping, preset }) {
+  if (preset) {
+    const saved = await projection.getPreset(client.id, tool, preset);
+    return saved
+      ? { projection: { fields: saved.fields, mapping: saved.mapping }, error: null }
+      : { projection: undefined, error: `Unknown mapping preset for ${tool}: ${preset}` };
+  }
+
+  return { projection: fields || mapping ? { fields, mapping } : undefined, error: null };
+}
+
 // =============================================================================
 // API Endpoints
 // =============================================================================
@@ -171,7 +460,23 @@ app.post('/api/batch', async (req, res) => {
       });
     }
 
-    const { tool, records, callbackUrl, priority } = value;
+    const {
+      tool,
+      callbackUrl,
+      completionCallbackUrl,
+      callbackSecret,
+      callbackMode,
+      callbackGroupSize,
+      callbackGroupIntervalSeconds,
+      callbackOn,
+      detectChanges,
+      cache,
+      dedupe,
+      explode,
+      retentionDays,
+      mode,
+      priority
+    } = value;
 
     // Validate tool exists
     if (!toolExists(tool)) {
@@ -181,27 +486,73 @@ app.post('/api/batch', async (req, res) => {
       });
     }
 
+    // Enforce the client's scopes
+    const scopeError = getScopeError(req.client, tool, value.records.length, priority);
+    if (scopeError) {
+      return res.status(scopeError.status).json({ error: scopeError.error });
+    }
+    const effectivePriority = getRequestPriority(req.client, priority);
+
+    const resolved = await resolveProjection(req.client, tool, value);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    // Check params and canonicalize identifiers (URLs, handles) - records that can never succeed are rejected
+    const { records, rejected } = validateRecords(tool, value.records);
+    if (rejected.length > 0 && (mode === 'strict' || rejected.length === records.length)) {
+      return res.status(400).json({ error: 'Validation failed', details: rejected });
+    }
+
     // Generate batch ID
     const batchId = `batch_${uuidv4().split('-')[0]}`;
 
     // Add jobs to queue
-    const jobs = await queue.addBatch(batchId, tool, records, callbackUrl, priority);
+    const { jobs, collapsed, attached } = await queue.addBatch(batchId, tool, records, {
+      callbackUrl,
+      completionCallbackUrl,
+      callbackSecret,
+      callbackMode,
+      callbackGroupSize,
+      callbackGroupIntervalSeconds,
+      callbackOn,
+      detectChanges,
+      cache,
+      dedupe,
+      explode,
+      projection: resolved.projection,
+      retentionDays,
+      rejected,
+      priority: effectivePriority,
+      clientId: req.client.id,
+      weight: req.client.weight
+    });
 
-    // Calculate estimated completion time
-    const estimatedSeconds = Math.ceil((records.length * DRIP_INTERVAL_MS) / 1000);
+    // Calculate estimated completion time at the tool's bucket rate - cache hits and collapsed records take no drip slot
+    const cacheHits = jobs.filter(job => job.data.cacheKey).length;
+    const bucketInterval = await queue.getBucketIntervalMs(getToolRateBucket(tool));
+    const estimatedSeconds = Math.ceil(((jobs.length - cacheHits) * bucketInterval) / 1000);
 
     logger.info('Batch queued successfully', {
       batchId,
       tool,
       recordCount: records.length,
+      rejectedCount: rejected.length,
       callbackUrl: callbackUrl ? 'set' : 'none',
-      priority
+      callbackMode,
+      completionCallbackUrl: completionCallbackUrl ? 'set' : 'none',
+      priority: effectivePriority,
+      clientId: req.client.id
     });
 
     res.status(202).json({
       success: true,
       batchId,
       jobsQueued: jobs.length,
+      cacheHits,
+      collapsed,
+      attached,
+      rejected,
       estimatedCompletionSeconds: estimatedSeconds,
       statusUrl: `/api/status/${batchId}`
     });
@@ -230,7 +581,7 @@ app.post('/api/single', async (req, res) => {
       });
     }
 
-    const { tool, params, callbackUrl, rowId, priority } = value;
+    const { tool, callbackUrl, callbackOn, detectChanges, cache, explode, rowId, priority } = value;
 
     // Validate tool exists
     if (!toolExists(tool)) {
@@ -240,17 +591,39 @@ app.post('/api/single', async (req, res) => {
       });
     }
 
-    // Get queue position
-    const { position, estimatedWaitSeconds } = await queue.getQueuePosition();
+    // Enforce the client's scopes
+    const scopeError = getScopeError(req.client, tool, 1, priority);
+    if (scopeError) {
+      return res.status(scopeError.status).json({ error: scopeError.error });
+    }
+    const effectivePriority = getRequestPriority(req.client, priority);
+
+    const validated = validateRecord(tool, value.params);
+    if (validated.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: validated.errors });
+    }
+
+    const resolved = await resolveProjection(req.client, tool, value);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
 
     // Add job to queue
     const job = await queue.addJob({
       tool,
-      params,
+      params: validated.params,
       rowId: rowId || `single_${uuidv4().split('-')[0]}`,
       callbackUrl,
-      batchId: null
-    }, { priority });
+      callbackOn,
+      detectChanges,
+      explode,
+      projection: resolved.projection,
+      batchId: null,
+      clientId: req.client.id
+    }, { priority: effectivePriority, weight: req.client.weight, cache });
+
+    // Get queue position - fair scheduling can place the job ahead of other clients' backlogs
+    const { position, estimatedWaitSeconds } = await queue.getJobStatus(job.id);
 
     logger.info('Single job queued', {
       jobId: job.id,
@@ -264,8 +637,10 @@ app.post('/api/single', async (req, res) => {
       success: true,
       jobId: job.id,
       rowId: job.data.rowId,
+      cached: Boolean(job.data.cacheKey),
       position,
-      estimatedWaitSeconds
+      estimatedWaitSeconds,
+      statusUrl: `/api/job/${job.id}`
     });
 
   } catch (error) {
@@ -287,7 +662,8 @@ app.get('/api/status/:batchId', async (req, res) => {
 
     const status = await queue.getBatchStatus(batchId);
 
-    if (!status) {
+    // Other clients' batches are reported as not found
+    if (!status || !canAccess(req.client, status.clientId)) {
       return res.status(404).json({
         error: 'Batch not found',
         batchId
@@ -296,16 +672,39 @@ app.get('/api/status/:batchId', async (req, res) => {
 
     // Get results if requested
     const includeResults = req.query.results === 'true';
-    let results = [];
+    let results;
+    let pagination;
 
     if (includeResults) {
-      const limit = parseInt(req.query.limit, 10) || 100;
-      results = await queue.getBatchResults(batchId, limit);
+      const { error, value } = resultsQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const offset = value.cursor ?? value.offset;
+      const page = await queue.getBatchResults(batchId, {
+        offset,
+        limit: value.limit,
+        status: value.status
+      });
+
+      results = page.results;
+      pagination = {
+        total: page.total,
+        offset,
+        limit: value.limit,
+        status: value.status,
+        nextCursor: page.nextCursor
+      };
     }
 
     res.json({
       ...status,
-      results: includeResults ? results : undefined
+      results,
+      pagination
     });
 
   } catch (error) {
@@ -318,36 +717,812 @@ app.get('/api/status/:batchId', async (req, res) => {
 });
 
 /**
- * List available tools
- * GET /api/tools
+ * Export all batch results
+ * GET /api/batch/:batchId/export?format=csv|ndjson|json
  */
-app.get('/api/tools', (req, res) => {
-  const { getToolsByCategory, TOOL_REGISTRY } = require('./lib/tool-registry');
+app.get('/api/batch/:batchId/export', async (req, res) => {
+  const { batchId } = req.params;
 
-  res.json({
-    tools: listTools(),
-    byCategory: getToolsByCategory(),
-    total: listTools().length
-  });
+  try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const status = await queue.getBatchStatus(batchId);
+
+    // Other clients' batches are reported as not found
+    if (!status || !canAccess(req.client, status.clientId)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        batchId
+      });
+    }
+
+    const { format } = value;
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${batchId}.${format}"`);
+
+    await writeBatchExport(batchId, format, res, { status: value.status });
+    res.end();
+
+  } catch (error) {
+    logger.error('Failed to export batch', { batchId, error: error.message });
+
+    // Once streaming has started the only way to signal failure is to abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export batch',
+      message: error.message
+    });
+  }
 });
 
 /**
- * Get queue statistics
- * GET /api/stats
+ * Check job status and result
+ * GET /api/job/:jobId
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/job/:jobId', async (req, res) => {
   try {
-    const stats = await queue.getQueueStats();
-    const dripRate = 60000 / DRIP_INTERVAL_MS; // jobs per minute
+    const { jobId } = req.params;
+
+    const status = await queue.getJobStatus(jobId);
+
+    if (!status || !canAccess(req.client, status.clientId)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        jobId
+      });
+    }
+
+    res.json(status);
+
+  } catch (error) {
+    logger.error('Failed to get job status', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get job status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Run a batch control operation and send the response
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} action - Action name for logging and errors
+ * @param {Function} operation - Queue operation taking the batch ID
+ */
+async function handleBatchControl(req, res, action, operation) {
+  const { batchId } = req.params;
+
+  try {
+    const current = await queue.getBatchStatus(batchId);
+    const result = current && canAccess(req.client, current.clientId)
+      ? await operation(batchId)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        batchId
+      });
+    }
+
+    const status = await queue.getBatchStatus(batchId);
+
+    res.json({
+      success: true,
+      ...result,
+      batch: status
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        batchId
+      });
+    }
+
+    logger.error(`Failed to ${action} batch`, { batchId, error: error.message });
+    res.status(500).json({
+      error: `Failed to ${action} batch`,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Cancel a batch
+ * DELETE /api/batch/:batchId
+ */
+app.delete('/api/batch/:batchId', (req, res) => {
+  return handleBatchControl(req, res, 'cancel', queue.cancelBatch);
+});
+
+/**
+ * Pause a batch
+ * POST /api/batch/:batchId/pause
+ */
+app.post('/api/batch/:batchId/pause', (req, res) => {
+  return handleBatchControl(req, res, 'pause', queue.pauseBatch);
+});
+
+/**
+ * Resume a paused batch
+ * POST /api/batch/:batchId/resume
+ */
+app.post('/api/batch/:batchId/resume', (req, res) => {
+  return handleBatchControl(req, res, 'resume', queue.resumeBatch);
+});
+
+/**
+ * Start a pipeline - a batch whose rows feed the next step's tool as they complete
+ * POST /api/pipelines
+ */
+app.post('/api/pipelines', async (req, res) => {
+  try {
+    const { error, value } = pipelineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { steps, records: rawRecords, mode, priority, ...batchOptions } = value;
+
+    // Every step's tool must exist and be allowed for this API key; presets are resolved per step
+    const resolvedSteps = [];
+    for (const step of steps) {
+      if (!toolExists(step.tool)) {
+        return res.status(400).json({
+          error: `Unknown tool: ${step.tool}`,
+          availableTools: listTools()
+        });
+      }
+
+      const scopeError = getScopeError(req.client, step.tool, step === steps[0] ? rawRecords.length : 0, priority);
+      if (scopeError) {
+        return res.status(scopeError.status).json({ error: scopeError.error });
+      }
+
+      const resolved = await resolveProjection(req.client, step.tool, step);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
+      const { fields, mapping, preset, ...rest } = step;
+      resolvedSteps.push({ ...rest, projection: resolved.projection });
+    }
+    const effectivePriority = getRequestPriority(req.client, priority);
+
+    const { records, rejected } = validateRecords(steps[0].tool, rawRecords);
+    if (rejected.length > 0 && (mode === 'strict' || rejected.length === records.length)) {
+      return res.status(400).json({ error: 'Validation failed', details: rejected });
+    }
+
+    const batchId = `batch_${uuidv4().split('-')[0]}`;
+
+    const { jobs, collapsed, attached } = await pipelines.createPipeline(batchId, resolvedSteps, records, {
+      ...batchOptions,
+      // Later steps grow the batch, so a client's pipeline is held to its max batch size in total
+      maxRows: req.client.admin ? undefined : req.client.maxBatchSize,
+      rejected,
+      priority: effectivePriority,
+      clientId: req.client.id,
+      weight: req.client.weight
+    });
+
+    logger.info('Pipeline queued successfully', {
+      batchId,
+      tools: steps.map(step => step.tool),
+      recordCount: records.length,
+      rejectedCount: rejected.length,
+      priority: effectivePriority,
+      clientId: req.client.id
+    });
+
+    res.status(202).json({
+      success: true,
+      batchId,
+      steps: steps.map(step => step.tool),
+      jobsQueued: jobs.length,
+      cacheHits: jobs.filter(job => job.data.cacheKey).length,
+      collapsed,
+      attached,
+      rejected,
+      statusUrl: `/api/pipelines/${batchId}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to queue pipeline', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to queue pipeline',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check pipeline progress per step, with every row as a tree under the row it came from
+ * GET /api/pipelines/:batchId
+ */
+app.get('/api/pipelines/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const status = await queue.getBatchStatus(batchId);
+    const pipeline = status && canAccess(req.client, status.clientId)
+      ? await pipelines.getPipelineTree(batchId)
+      : null;
+
+    // Other clients' batches and plain batches are reported as not found
+    if (!pipeline) {
+      return res.status(404).json({
+        error: 'Pipeline not found',
+        batchId
+      });
+    }
+
+    res.json({
+      ...status,
+      ...pipeline
+    });
+
+  } catch (error) {
+    logger.error('Failed to get pipeline status', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get pipeline status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create a recurring batch
+ * POST /api/schedules
+ */
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { error, value } = scheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const {
+      name,
+      tool,
+      records: rawRecords,
+      mode,
+      cron,
+      timezone,
+      everySeconds,
+      priority,
+      fields,
+      mapping,
+      preset,
+      ...callbackOptions
+    } = value;
+
+    if (!toolExists(tool)) {
+      return res.status(400).json({
+        error: `Unknown tool: ${tool}`,
+        availableTools: listTools()
+      });
+    }
+
+    const scopeError = getScopeError(req.client, tool, rawRecords.length, priority);
+    if (scopeError) {
+      return res.status(scopeError.status).json({ error: scopeError.error });
+    }
+
+    const resolved = await resolveProjection(req.client, tool, { fields, mapping, preset });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    // Every run re-queues the same records, so validate and normalize them once here -
+    // in partial mode the schedule keeps only the valid ones
+    const validated = validateRecords(tool, rawRecords);
+    const { rejected } = validated;
+    if (rejected.length > 0 && (mode === 'strict' || rejected.length === rawRecords.length)) {
+      return res.status(400).json({ error: 'Validation failed', details: rejected });
+    }
+    const rejectedIndexes = new Set(rejected.map(row => row.index));
+    const records = validated.records.filter((record, index) => !rejectedIndexes.has(index));
+
+    const schedule = await schedules.createSchedule({
+      name,
+      tool,
+      records,
+      cron,
+      timezone,
+      everySeconds,
+      clientId: req.client.id,
+      batchOptions: {
+        ...callbackOptions,
+        projection: resolved.projection,
+        priority: getRequestPriority(req.client, priority),
+        weight: req.client.weight
+      }
+    });
+
+    res.status(201).json({ success: true, schedule, rejected });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    logger.error('Failed to create schedule', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List schedules (admin sees every client's)
+ * GET /api/schedules
+ */
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const list = await schedules.listSchedules(req.client.admin ? undefined : req.client.id);
+
+    // Records can be large - fetch a single schedule to see them
+    const summaries = list.map(({ records, ...schedule }) => ({
+      ...schedule,
+      recordCount: records.length
+    }));
+
+    res.json({ schedules: summaries, total: summaries.length });
+
+  } catch (error) {
+    logger.error('Failed to list schedules', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get a schedule and its recent batch IDs
+ * GET /api/schedules/:scheduleId
+ */
+app.get('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = await schedules.getSchedule(scheduleId);
+
+    if (!schedule || !canAccess(req.client, schedule.clientId)) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        scheduleId
+      });
+    }
+
+    res.json({ schedule });
+
+  } catch (error) {
+    logger.error('Failed to get schedule', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Run a pause/resume/delete operation on a schedule the client owns
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} action - Action name for logging and errors
+ * @param {Function} operation - Schedules operation taking the schedule ID
+ */
+async function handleScheduleControl(req, res, action, operation) {
+  const { scheduleId } = req.params;
+
+  try {
+    const current = await schedules.getSchedule(scheduleId);
+    const schedule = current && canAccess(req.client, current.clientId)
+      ? await operation(scheduleId)
+      : null;
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        scheduleId
+      });
+    }
+
+    res.json({ success: true, schedule });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        scheduleId
+      });
+    }
+
+    logger.error(`Failed to ${action} schedule`, { scheduleId, error: error.message });
+    res.status(500).json({
+      error: `Failed to ${action} schedule`,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Pause a schedule
+ * POST /api/schedules/:scheduleId/pause
+ */
+app.post('/api/schedules/:scheduleId/pause', (req, res) => {
+  return handleScheduleControl(req, res, 'pause', schedules.pauseSchedule);
+});
+
+/**
+ * Resume a paused schedule
+ * POST /api/schedules/:scheduleId/resume
+ */
+app.post('/api/schedules/:scheduleId/resume', (req, res) => {
+  return handleScheduleControl(req, res, 'resume', schedules.resumeSchedule);
+});
+
+/**
+ * Delete a schedule (batches it already queued keep running)
+ * DELETE /api/schedules/:scheduleId
+ */
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+  return handleScheduleControl(req, res, 'delete', schedules.deleteSchedule);
+});
+
+/**
+ * Save a mapping preset for a tool (presets saved with the admin secret are shared with every client)
+ * POST /api/presets
+ *
+ * Body: { tool, name, fields?, mapping? }
+ */
+app.post('/api/presets', async (req, res) => {
+  try {
+    const { error, value } = presetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const scopeError = getScopeError(req.client, value.tool, 0);
+    if (scopeError) {
+      return res.status(scopeError.status).json({ error: scopeError.error });
+    }
+
+    const preset = await projection.savePreset(req.client.id, value);
+
+    res.status(201).json({ success: true, preset });
+
+  } catch (error) {
+    logger.error('Failed to save mapping preset', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to save mapping preset',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List the mapping presets the client can use
+ * GET /api/presets?tool=
+ */
+app.get('/api/presets', async (req, res) => {
+  try {
+    const { error, value } = presetQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const presets = await projection.listPresets(req.client.id, value.tool);
+
+    res.json({ presets, total: presets.length });
+
+  } catch (error) {
+    logger.error('Failed to list mapping presets', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list mapping presets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete one of the client's mapping presets (queued requests keep the projection they were given)
+ * DELETE /api/presets/:tool/:name
+ */
+app.delete('/api/presets/:tool/:name', async (req, res) => {
+  try {
+    const { tool, name } = req.params;
+
+    const deleted = await projection.deletePreset(req.client.id, tool, name);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Preset not found',
+        tool,
+        name
+      });
+    }
+
+    res.json({ success: true, tool, name });
+
+  } catch (error) {
+    logger.error('Failed to delete mapping preset', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete mapping preset',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List callbacks that could not be delivered
+ * GET /api/callbacks/failed
+ */
+app.get('/api/callbacks/failed', async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { callbacks, total } = await callbackOutbox.listFailed(value);
+
+    res.json({
+      callbacks,
+      total,
+      offset: value.offset,
+      limit: value.limit
+    });
+
+  } catch (error) {
+    logger.error('Failed to list failed callbacks', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list failed callbacks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Redeliver a failed callback now
+ * POST /api/callbacks/:id/redeliver
+ */
+app.post('/api/callbacks/:id/redeliver', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await callbackOutbox.redeliver(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Callback not found',
+        id
+      });
+    }
+
+    res.status(entry.state === 'delivered' ? 200 : 502).json({
+      success: entry.state === 'delivered',
+      callback: entry
+    });
+
+  } catch (error) {
+    logger.error('Failed to redeliver callback', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to redeliver callback',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create an API client
+ * POST /api/admin/clients
+ */
+app.post('/api/admin/clients', async (req, res) => {
+  try {
+    const { error, value } = clientSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    // Without an admin secret there is no way to tell the admin apart from anyone else
+    if (!WEBHOOK_SECRET) {
+      return res.status(400).json({
+        error: 'Set WEBHOOK_SECRET before issuing client API keys'
+      });
+    }
+
+    const { client, apiKey } = await clients.createClient(value);
+
+    res.status(201).json({
+      success: true,
+      client,
+      // Only returned here - store it now, it cannot be retrieved later
+      apiKey
+    });
+
+  } catch (error) {
+    logger.error('Failed to create API client', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to create API client',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List API clients
+ * GET /api/admin/clients
+ */
+app.get('/api/admin/clients', async (req, res) => {
+  try {
+    const list = await clients.listClients();
+    res.json({ clients: list, total: list.length });
+
+  } catch (error) {
+    logger.error('Failed to list API clients', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list API clients',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Revoke an API client's key
+ * DELETE /api/admin/clients/:clientId
+ */
+app.delete('/api/admin/clients/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const client = await clients.revokeClient(clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Client not found',
+        clientId
+      });
+    }
+
+    res.json({ success: true, client });
+
+  } catch (error) {
+    logger.error('Failed to revoke API client', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to revoke API client',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get the live drip configuration
+ * GET /api/admin/config
+ */
+app.get('/api/admin/config', async (req, res) => {
+  try {
+    const config = await queue.getRuntimeConfig();
+    res.json({ config });
+
+  } catch (error) {
+    logger.error('Failed to get config', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get config',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Change the drip interval, per-bucket rates or pause state without a restart
+ * PUT /api/admin/config
+ */
+app.put('/api/admin/config', async (req, res) => {
+  try {
+    const { error, value } = configSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await queue.updateRuntimeConfig(value);
+
+    res.json({ success: true, config });
+
+  } catch (error) {
+    logger.error('Failed to update config', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to update config',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List available tools
+ * GET /api/tools
+ */
+app.get('/api/tools', (req, res) => {
+  const { getToolsByCategory, TOOL_REGISTRY } = require('./lib/tool-registry');
+
+  res.json({
+    tools: listTools(),
+    byCategory: getToolsByCategory(),
+    total: listTools().length
+  });
+});
+
+/**
+ * Get queue statistics
+ * GET /api/stats
+ */
+app.get('/api/stats', async (req, res) => {
+  try {
+    const [stats, effectiveRates, runtimeConfig] = await Promise.all([
+      queue.getQueueStats(),
+      adaptiveRate.getEffectiveRates(),
+      queue.getRuntimeConfig()
+    ]);
+    const dripRate = 60000 / runtimeConfig.dripIntervalMs; // jobs per minute
+
+    // Buckets drain in parallel at their current rate, so the queue drains when its slowest bucket does
+    const rateBuckets = {};
+    let drainMs = 0;
+    for (const bucket of listRateBuckets()) {
+      const { max, durationMs } = getRateLimit(bucket, runtimeConfig);
+      rateBuckets[bucket] = { max, durationMs, ratePerMinute: (max * 60000) / durationMs };
+
+      const effective = effectiveRates[bucket];
+      drainMs = Math.max(drainMs, (stats.buckets[bucket].total * effective.durationMs) / effective.max);
+    }
 
     res.json({
       queue: stats,
       config: {
-        dripIntervalMs: DRIP_INTERVAL_MS,
+        dripIntervalMs: runtimeConfig.dripIntervalMs,
         dripRatePerMinute: dripRate,
+        paused: runtimeConfig.paused,
+        rateBuckets,
         maxBatchSize: MAX_BATCH_SIZE
       },
-      estimatedDrainTimeSeconds: Math.ceil((stats.total * DRIP_INTERVAL_MS) / 1000)
+      effectiveRates,
+      estimatedDrainTimeSeconds: Math.ceil(drainMs / 1000)
     });
 
   } catch (error) {
@@ -397,6 +1572,7 @@ async function shutdown(signal) {
     logger.info('HTTP server closed');
 
     try {
+      await schedules.shutdown();
       await queue.shutdown();
       logger.info('Graceful shutdown complete');
       process.exit(0);
@@ -424,7 +1600,6 @@ const server = app.listen(PORT, () => {
   logger.info('AnySignals server started', {
     port: PORT,
     environment: process.env.NODE_ENV || 'development',
-    dripInterval: `${DRIP_INTERVAL_MS}ms`,
     maxBatchSize: MAX_BATCH_SIZE
   });
 
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fakes = require('./helpers/fakes');
+
+fakes.install();
+const changeDetection = require('../lib/change-detection');
+
+const tool = 'get_linkedin_profile';
+const params = { user: 'https://www.linkedin.com/in/jane' };
+
+/**
+ * Build a profile response
+ * @param {string} headline - Profile headline
+ * @param {string} email - Contact email
+ * @returns {object}
+ */
+function profile(headline, email) {
+  return { headline, email };
+}
+
+test('a projected result is diffed without the fields the projection drops', async () => {
+  const view = { projection: { fields: ['headline'] } };
+  await changeDetection.saveSnapshot('client-1', tool, params, profile('Engineer', 'a@x.com'), 'job-1', view);
+
+  const unchanged = await changeDetection.detectChanges('client-1', tool, params, profile('Engineer', 'b@x.com'), view);
+  assert.strictEqual(unchanged.changed, false);
+
+  const changed = await changeDetection.detectChanges('client-1', tool, params, profile('CTO', 'c@x.com'), view);
+  assert.deepStrictEqual(changed.changes, [{ path: 'headline', type: 'changed', from: 'Engineer', to: 'CTO' }]);
+});
+
+test('each projection of a request keeps its own snapshot', async () => {
+  const headline = { projection: { fields: ['headline'] } };
+  const email = { projection: { fields: ['email'] } };
+  await changeDetection.saveSnapshot('client-2', tool, params, profile('Engineer', 'a@x.com'), 'job-1', headline);
+
+  const other = await changeDetection.detectChanges('client-2', tool, params, profile('Engineer', 'a@x.com'), email);
+  assert.strictEqual(other.firstSeen, true);
+});
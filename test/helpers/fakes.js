@@ -0,0 +1,210 @@
+/**
+ * Test Fakes - In-memory stand-ins for Redis (ioredis) and BullMQ queues
+ *
+ * install() puts them in the require cache, so lib modules loaded afterwards talk to memory instead of
+ * a Redis server. Lua scripts are not run: redis.evalHandler decides what `eval` returns (default 0).
+ */
+
+const path = require('path');
+
+/**
+ * In-memory Redis with the commands the lib modules use
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.evalHandler = () => 0;
+  }
+
+  on() {
+    return this;
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value, ...args) {
+    if (args.includes('NX') && this.data.has(key)) return null;
+    this.data.set(key, String(value));
+    return 'OK';
+  }
+
+  async setex(key, ttl, value) {
+    this.data.set(key, String(value));
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.data.delete(key)).length;
+  }
+
+  async exists(...keys) {
+    return keys.filter(key => this.data.has(key)).length;
+  }
+
+  async expire() {
+    return 1;
+  }
+
+  async sadd(key, ...members) {
+    const set = this.data.get(key) || new Set();
+    this.data.set(key, set);
+    const before = set.size;
+    members.forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async srem(key, ...members) {
+    const set = this.data.get(key) || new Set();
+    return members.filter(member => set.delete(String(member))).length;
+  }
+
+  async smembers(key) {
+    return [...(this.data.get(key) || [])];
+  }
+
+  async sismember(key, member) {
+    return (this.data.get(key) || new Set()).has(String(member)) ? 1 : 0;
+  }
+
+  async hset(key, ...args) {
+    const hash = this.data.get(key) || {};
+    this.data.set(key, hash);
+    const fields = typeof args[0] === 'object' ? Object.entries(args[0]) : [[args[0], args[1]]];
+    for (const [field, value] of fields) {
+      hash[field] = String(value);
+    }
+    return fields.length;
+  }
+
+  async hgetall(key) {
+    return { ...(this.data.get(key) || {}) };
+  }
+
+  async hmget(key, ...fields) {
+    const hash = this.data.get(key) || {};
+    return fields.map(field => (field in hash ? hash[field] : null));
+  }
+
+  async rpush(key, ...values) {
+    const list = this.data.get(key) || [];
+    this.data.set(key, list);
+    list.push(...values.map(String));
+    return list.length;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.data.get(key) || [];
+    return list.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async eval(...args) {
+    return this.evalHandler(...args);
+  }
+
+  pipeline() {
+    const commands = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const replies = [];
+            for (const [command, args] of commands) {
+              replies.push([null, await this[command](...args)]);
+            }
+            return replies;
+          };
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  }
+
+  multi() {
+    return this.pipeline();
+  }
+}
+
+/**
+ * In-memory BullMQ queue that records the jobs added to it
+ */
+class FakeQueue {
+  constructor(name) {
+    this.name = name;
+    this.jobs = new Map();
+  }
+
+  on() {
+    return this;
+  }
+
+  async add(name, data, opts = {}) {
+    const [job] = await this.addBulk([{ name, data, opts }]);
+    return job;
+  }
+
+  async addBulk(jobs) {
+    return jobs.map(({ name, data, opts = {} }) => {
+      const job = { id: opts.jobId, name, data, opts, attemptsMade: 0 };
+      this.jobs.set(job.id, job);
+      return job;
+    });
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async getWaitingCount() {
+    return 0;
+  }
+
+  async getPrioritizedCount() {
+    return this.jobs.size;
+  }
+
+  async getActiveCount() {
+    return 0;
+  }
+
+  async getCompletedCount() {
+    return 0;
+  }
+
+  async getFailedCount() {
+    return 0;
+  }
+
+  async getDelayedCount() {
+    return 0;
+  }
+}
+
+/**
+ * Put a module's exports in the require cache
+ * @param {string} name - Module name as lib files require it
+ * @param {*} exports - Replacement exports
+ */
+function replaceModule(name, exports) {
+  const filename = require.resolve(name, { paths: [path.join(__dirname, '..', '..')] });
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+/**
+ * Replace ioredis and bullmq with the fakes - call before requiring any lib module
+ */
+function install() {
+  replaceModule('ioredis', FakeRedis);
+  replaceModule('bullmq', { Queue: FakeQueue, QueueEvents: class {} });
+}
+
+module.exports = {
+  FakeRedis,
+  FakeQueue,
+  install
+};
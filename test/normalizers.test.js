@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const normalizers = require('../lib/normalizers');
+
+test('a percent-encoded LinkedIn alias is decoded before it is matched', () => {
+  const canonical = 'https://www.linkedin.com/in/j%C3%BCrgen';
+  assert.strictEqual(normalizers.linkedinUser('j%C3%BCrgen'), canonical);
+  assert.strictEqual(normalizers.linkedinUser('jürgen'), canonical);
+  assert.strictEqual(normalizers.linkedinUser('https://www.linkedin.com/in/j%C3%BCrgen/'), canonical);
+  assert.strictEqual(normalizers.linkedinUser('j%E0rgen'), null);
+});
+
+test('a Twitter/X URL below a profile is only the profile for its tabs', () => {
+  assert.strictEqual(normalizers.twitterUser('https://x.com/jack/status/20'), null);
+  assert.strictEqual(normalizers.twitterUser('https://x.com/jack/status'), null);
+  assert.strictEqual(normalizers.twitterUser('https://x.com/Jack/with_replies'), 'https://x.com/jack');
+  assert.strictEqual(normalizers.twitterUser('https://twitter.com/jack?lang=en'), 'https://x.com/jack');
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fakes = require('./helpers/fakes');
+
+fakes.install();
+const queue = require('../lib/queue');
+const pagination = require('../lib/pagination');
+
+const tool = 'get_linkedin_post_reactions';
+const params = { urn: 'urn:li:activity:1', count: 80 };
+
+/**
+ * Build a page of reactions
+ * @param {number} from - First item number
+ * @param {number} count - Items on the page
+ * @param {string|null} cursor - Cursor for the next page
+ * @returns {object}
+ */
+function page(from, count, cursor) {
+  return { data: Array.from({ length: count }, (_, index) => ({ id: from + index })), next_cursor: cursor };
+}
+
+test('every call, the first included, asks for at most pageSize items', () => {
+  assert.deepStrictEqual(pagination.getPageParams(tool, params), { ...params, count: 50 });
+  assert.deepStrictEqual(
+    pagination.getPageParams(tool, params, { rootJobId: 'job-1', page: 2, cursor: 'c2', fetched: 50 }),
+    { ...params, count: 30, cursor: 'c2' }
+  );
+});
+
+test('a retried last page still merges every page', async () => {
+  const first = await pagination.recordPage({ id: 'job-1', data: { tool, params } }, page(0, 50, 'c2'));
+  assert.strictEqual(first.done, false);
+
+  const lastJob = { id: 'job-2', data: { tool, params, paging: first.paging } };
+  const last = await pagination.recordPage(lastJob, page(50, 30, null));
+  assert.strictEqual(last.done, true);
+  assert.strictEqual(last.response.data.length, 80);
+
+  // Storing the merged result failed, so the last page runs again
+  const retried = await pagination.recordPage(lastJob, page(50, 30, null));
+  assert.deepStrictEqual(retried.response, last.response);
+
+  await pagination.discardPages(lastJob);
+  assert.strictEqual(await queue.getRedisConnection().exists('anysignals:job:job-1:pages'), 0);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fakes = require('./helpers/fakes');
+
+fakes.install();
+const queue = require('../lib/queue');
+
+const tool = 'get_linkedin_profile';
+const params = { user: 'https://www.linkedin.com/in/jane' };
+
+// Fair-time reservations start at the beginning of virtual time, with no rebase
+queue.getRedisConnection().evalHandler = () => [0, 0];
+
+test('a cache hit whose entry expired is requeued on its rate bucket without its cache key', async () => {
+  const redis = queue.getRedisConnection();
+  const cacheKey = queue.getCacheKey('client-1', tool, params);
+  await redis.setex(cacheKey, 60, JSON.stringify({ data: { name: 'Jane' }, jobId: 'old', cachedAt: 'then' }));
+
+  const hit = await queue.addJob(
+    { tool, params, rowId: 'row-1', clientId: 'client-1', batchId: 'batch-1' },
+    { cache: 'prefer' }
+  );
+  assert.strictEqual(queue.getJobBucket(hit.id), queue.CACHE_LANE);
+  assert.strictEqual(hit.data.cacheKey, cacheKey);
+
+  // The entry expires before the cache lane gets to the job
+  await redis.del(cacheKey);
+  assert.strictEqual(await queue.readCachedResult(cacheKey), null);
+
+  const requeued = await queue.requeueUncachedJob(hit);
+
+  assert.strictEqual(queue.getJobBucket(requeued.id), 'linkedin');
+  assert.ok(await queue.getQueue('linkedin').getJob(requeued.id));
+  assert.strictEqual(requeued.data.cacheKey, undefined);
+  assert.strictEqual(requeued.data.rowId, 'row-1');
+  assert.ok(requeued.opts.priority > 0);
+  assert.ok((await redis.smembers('anysignals:batch:batch-1:jobs')).includes(requeued.id));
+});
+
+test('a held cache hit whose entry expired is queued on its rate bucket', async () => {
+  const cacheKey = queue.getCacheKey('client-1', tool, params);
+  const job = await queue.addJob({ tool, params, rowId: 'row-2', clientId: 'client-1', cacheKey });
+
+  assert.strictEqual(queue.getJobBucket(job.id), 'linkedin');
+  assert.strictEqual(job.data.cacheKey, undefined);
+});
@@ -1,8 +1,8 @@
 /**
  * AnySignals Worker - BullMQ rate-limited job processor
  *
- * Processes jobs from the queue at a controlled rate (1 per 10 seconds by default)
- * to comply with AnySite API rate limits.
+ * Runs one worker per rate bucket, each processing its own queue at that bucket's rate
+ * (see RATE_BUCKETS in lib/tool-registry.js) to comply with AnySite API rate limits.
  */
 
 require('dotenv').config();
@@ -12,19 +12,33 @@ const logger = require('./lib/logger');
 const queue = require('./lib/queue');
 const anysiteClient = require('./lib/anysite-client');
 const callback = require('./lib/callback');
-const { getTool, validateParams } = require('./lib/tool-registry');
+const callbackOutbox = require('./lib/callback-outbox');
+const callbackGroups = require('./lib/callback-groups');
+const adaptiveRate = require('./lib/adaptive-rate');
+const schedules = require('./lib/schedules');
+const changeDetection = require('./lib/change-detection');
+const pipelines = require('./lib/pipelines');
+const pagination = require('./lib/pagination');
+const { projectRow } = require('./lib/projection');
+const { getResultSink } = require('./lib/result-sink');
+const { getTool, validateParams, getRateLimit, listRateBuckets } = require('./lib/tool-registry');
 
 // =============================================================================
 // Configuration
 // =============================================================================
 
-const QUEUE_NAME = queue.QUEUE_NAME;
-const DRIP_INTERVAL_MS = parseInt(process.env.DRIP_INTERVAL_MS, 10) || 10000;
 const RESULT_TTL_SECONDS = parseInt(process.env.RESULT_TTL_SECONDS, 10) || 86400;
+const COMPLETION_SWEEP_INTERVAL_MS = 30000;
+const OUTBOX_RETRY_INTERVAL_MS = 60000;
+const CALLBACK_GROUP_CHECK_INTERVAL_MS = 1000;
+const CONFIG_POLL_INTERVAL_MS = 5000;
+const RETENTION_SWEEP_INTERVAL_MS = 3600000;
 
 // Track if we're shutting down
 let isShuttingDown = false;
-let currentJob = null;
+
+// Jobs currently being processed, by job ID (at most one per bucket worker)
+const activeJobs = new Map();
 
 // =============================================================================
 // Job Processor
@@ -33,19 +47,283 @@ let currentJob = null;
 /**
  * Process a single job
  * @param {Job} job - BullMQ job
- * @returns {Promise<object>} - Job result
+ * @returns {Promise<object>} - Small marker for BullMQ's returnvalue: {stored, resultId, rows},
+ *   {paginating, nextPageJobId, page} while more pages are due, or {requeued, requeuedJobId} for a cache
+ *   hit whose entry expired; results are read with queue.getJobStatus
  */
 async function processJob(job) {
-  const { tool, params, rowId, callbackUrl, batchId } = job.data;
+  const { tool, params, rowId, batchId, cacheKey } = job.data;
 
   logger.info('Processing job', {
     jobId: job.id,
     tool,
     rowId,
     batchId: batchId || 'none',
-    attempt: job.attemptsMade + 1
+    attempt: queue.getJobAttempts(job).attemptsMade + 1,
+    cached: Boolean(cacheKey)
+  });
+
+  // Rows from later batches can no longer attach once the request is under way
+  await queue.releasePendingJob(job);
+
+  // Answered from the client's result cache - not a new observation, so never a change. The job carries only
+  // the entry's key; the cache lane never calls AnySite, so an entry that expired since the job was queued
+  // sends the request back through its tool's rate bucket.
+  const cached = cacheKey ? await queue.readCachedResult(cacheKey) : null;
+  if (cacheKey && !cached) {
+    return requeueUncached(job);
+  }
+
+  let response;
+
+  if (cached) {
+    response = cached.data;
+  } else {
+    response = await callAnySite(job);
+
+    // Paginated tools queue the next page as a job of its own until the last page merges them all
+    if (pagination.getPagination(tool)) {
+      const pages = await pagination.recordPage(job, response);
+      if (!pages.done) {
+        return queueNextPage(job, pages.paging);
+      }
+      response = pages.response;
+    }
+  }
+
+  const rows = await getJobRows(job, cached?.cachedAt);
+
+  if (!cached) {
+    // Cache the result for identical requests from each client the job answers
+    for (const clientId of new Set(rows.map(row => row.data.clientId))) {
+      await queue.cacheResult(clientId, tool, params, response, rows[0].id);
+    }
+  }
+
+  // Fan the result out to every row collapsed into this job - snapshots are only saved once every row is
+  // stored, so a retry after a partial run still diffs against the previous run
+  const changes = await detectRowChanges(job, rows, response);
+  for (const row of rows) {
+    const detected = changes.get(changeDetection.getSnapshotKey(row.data.clientId, tool, params, row.data));
+    await completeRow(row, response, detected?.changes || null);
+  }
+  for (const { data } of changes.values()) {
+    await changeDetection.saveSnapshot(data.clientId, tool, params, response, rows[0].id, data);
+  }
+  await queue.clearJobFollowers(rows[0].id);
+  await pagination.discardPages(job);
+
+  // BullMQ keeps the return value with the job, so it points at the stored results rather than copying them
+  return { stored: true, resultId: rows[0].id, rows: rows.length };
+}
+
+/**
+ * Queue the next page of a paginated request
+ * @param {Job} job - Job that fetched the previous page
+ * @param {object} paging - Next page's paging state, from pagination.recordPage
+ * @returns {Promise<object>} - Job result pointing at the next page's job
+ */
+async function queueNextPage(job, paging) {
+  const pageJob = await queue.addPageJob(job, paging);
+
+  logger.info('Queued next page', {
+    jobId: job.id,
+    nextPageJobId: pageJob.id,
+    requestJobId: paging.rootJobId,
+    page: paging.page,
+    fetched: paging.fetched
   });
 
+  return { paginating: true, nextPageJobId: pageJob.id, page: paging.page };
+}
+
+/**
+ * Queue a cache-lane job whose cache entry expired on its tool's rate bucket
+ * @param {Job} job - Cache-lane job
+ * @returns {Promise<object>} - Job result pointing at the job that will make the request
+ */
+async function requeueUncached(job) {
+  const uncachedJob = await queue.requeueUncachedJob(job);
+
+  logger.info('Cached result expired before its job ran - requeued on its rate bucket', {
+    jobId: job.id,
+    requeuedJobId: uncachedJob.id,
+    tool: job.data.tool
+  });
+
+  return { requeued: true, requeuedJobId: uncachedJob.id };
+}
+
+/**
+ * Diff a response against the previous run of each client whose rows asked for change detection
+ * Rows ask with `detectChanges`, or implicitly with `callbackOn: 'changed'`. Each client's projection of the
+ * response is diffed on its own. Results from the cache are not a new observation, so they are never diffed.
+ * @param {Job} job - BullMQ job
+ * @param {object[]} rows - Rows from getJobRows
+ * @param {object} response - AnySite response data
+ * @returns {Promise<Map<string, {data: object, changes: object}>>} - Changes and the row data they were
+ *   detected for, by snapshot key
+ */
+async function detectRowChanges(job, rows, response) {
+  const { tool, params } = job.data;
+  const changes = new Map();
+  if (rows.some(row => row.cachedAt)) return changes;
+
+  for (const { data } of rows) {
+    const key = changeDetection.getSnapshotKey(data.clientId, tool, params, data);
+    const wanted = data.detectChanges || data.callbackOn === 'changed';
+    if (wanted && !changes.has(key)) {
+      const detected = await changeDetection.detectChanges(data.clientId, tool, params, response, data);
+      changes.set(key, { data, changes: detected });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get every row a job answers: its own, its in-batch duplicates and rows attached from other batches
+ * Each row is shaped like a job (id, data, attemptsMade) for the callback helpers, plus the ID its
+ * result is stored under. For a paginated request that is the first page's job ID.
+ * Followers stay attached until the job clears them after its last row.
+ * @param {Job} job - BullMQ job
+ * @param {string} cachedAt - When the result was cached, if the job was answered from the cache
+ * @returns {Promise<object[]>}
+ */
+async function getJobRows(job, cachedAt) {
+  const requestJobId = job.data.paging?.rootJobId || job.id;
+  const followers = await queue.getJobFollowers(requestJobId);
+  const { attemptsMade } = queue.getJobAttempts(job);
+
+  const rows = [job.data, ...followers].flatMap(data => [
+    { id: requestJobId, resultId: requestJobId, data, attemptsMade },
+    ...(data.duplicates || []).map(duplicate => ({
+      id: requestJobId,
+      resultId: `${requestJobId}.${duplicate.rowIndex}`,
+      data: { ...data, ...duplicate, duplicates: undefined },
+      attemptsMade
+    }))
+  ]);
+
+  return cachedAt ? rows.map(row => ({ ...row, cachedAt })) : rows;
+}
+
+/**
+ * Store a row's result, send its callback and count it towards its batch
+ * Rows finished by an earlier attempt of the same job are skipped.
+ * @param {object} row - Row from getJobRows
+ * @param {object} response - AnySite response data
+ * @param {object|null} changes - Changes since the previous run, from change detection
+ */
+async function completeRow(row, response, changes) {
+  if (await queue.isRowDone(row.id, row.resultId)) return;
+
+  const { tool, rowId, rowIndex, callbackUrl, callbackOn, batchId, clientId, explode, projection } = row.data;
+
+  // Projection only shapes what the client gets back - the pipeline's next step still sees the full response
+  const { items, output } = projectRow(response, { explode, projection });
+
+  // Store result in Redis
+  const storedResult = {
+    jobId: row.id,
+    rowId,
+    rowIndex,
+    tool,
+    clientId,
+    status: 'completed',
+    data: output,
+    changes,
+    completedAt: new Date().toISOString()
+  };
+  if (row.cachedAt) {
+    storedResult.cached = true;
+    storedResult.cachedAt = row.cachedAt;
+  }
+  if (row.data.pipeline) {
+    storedResult.step = row.data.pipeline.step;
+    storedResult.parentRowId = row.data.pipeline.parentRowId;
+  }
+  if (items.length > 0) {
+    await queue.storeExplodedResult(row.resultId, batchId, storedResult, explodeRecord(storedResult, items));
+  } else {
+    await queue.storeResult(row.resultId, batchId, storedResult);
+  }
+
+  // Fire callback if provided - grouped per batch, or sent now and saved to the outbox if delivery fails
+  if (callbackUrl && (callbackOn !== 'changed' || changes?.changed)) {
+    const payload = callback.buildCallbackPayload(row, output, 'completed', null, changes);
+    const payloads = items.length > 0 ? explodeRecord(payload, items) : [payload];
+    for (const itemPayload of payloads) {
+      await sendRowCallback(row, itemPayload);
+    }
+  }
+
+  // Queue the pipeline's next step before this row counts, so the batch cannot finish in between
+  if (row.data.pipeline) {
+    await queueNextPipelineStep(row, response);
+  }
+
+  // Update batch progress (after the callback so grouped callbacks flush before completion)
+  await recordRowProgress(row, 'completed');
+}
+
+/**
+ * Split a row's stored result or callback payload into one record per item of its `explode` list
+ * Each item record has the derived rowId `{rowId}:{index}` and points back to the job via parentJobId;
+ * change details stay on the row's own result.
+ * @param {object} record - Result or payload for the whole row
+ * @param {Array} items - Items from projectRow
+ * @returns {object[]}
+ */
+function explodeRecord(record, items) {
+  const { changes, ...rest } = record;
+
+  return items.map((item, index) => ({
+    ...rest,
+    rowId: `${record.rowId}:${index}`,
+    parentJobId: record.jobId,
+    itemIndex: index,
+    itemCount: items.length,
+    data: item
+  }));
+}
+
+/**
+ * Queue the rows a completed pipeline row feeds into
+ * Errors are logged rather than thrown - the row's own call succeeded and must not be retried.
+ * @param {object} row - Row from getJobRows
+ * @param {object} response - AnySite response data
+ */
+async function queueNextPipelineStep(row, response) {
+  try {
+    await pipelines.queueNextStep(row.data, response);
+  } catch (error) {
+    logger.error('Failed to queue next pipeline step', {
+      jobId: row.id,
+      rowId: row.data.rowId,
+      batchId: row.data.batchId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Make the AnySite call for a job, adjusting the bucket's rate on the outcome
+ * @param {Job} job - BullMQ job
+ * @returns {Promise<object>} - AnySite response data
+ */
+async function callAnySite(job) {
+  const { tool, params, rowId } = job.data;
+  const bucket = queue.getJobBucket(job.id);
+
+  // The cache lane has no limiter or adaptive rate - its jobs must never reach AnySite
+  if (bucket === queue.CACHE_LANE) {
+    throw new Error('Cache-lane jobs cannot call AnySite');
+  }
+
+  // Let other clients' lanes catch up to this job's place in fair scheduling order
+  await queue.advanceFairClock(bucket, job.opts.priority);
+
   // 1. Get endpoint config from registry
   const config = getTool(tool);
   if (!config) {
@@ -58,51 +336,37 @@ async function processJob(job) {
     throw new Error(`Missing required parameters: ${validation.missing.join(', ')}`);
   }
 
-  // 3. Call AnySite API
+  // 3. Call AnySite API (for one page, if the tool is paginated)
   logger.debug('Calling AnySite API', {
     endpoint: config.endpoint,
-    method: config.method
-  });
-
-  const response = await anysiteClient.request({
     method: config.method,
-    endpoint: config.endpoint,
-    data: params
+    page: job.data.paging?.page
   });
 
+  let response;
+  try {
+    response = await anysiteClient.request({
+      method: config.method,
+      endpoint: config.endpoint,
+      data: pagination.getPageParams(tool, params, job.data.paging)
+    });
+  } catch (error) {
+    if (error.rateLimited) {
+      // Pause the bucket and put the job back without using up an attempt
+      await slowDownBucket(bucket, error.retryAfterMs);
+      throw Worker.RateLimitError();
+    }
+    throw error;
+  }
+
+  await speedUpBucket(bucket);
+
   logger.info('AnySite API call successful', {
     jobId: job.id,
     tool,
     rowId
   });
 
-  // 4. Store result in Redis
-  await queue.storeResult(job.id, batchId, {
-    jobId: job.id,
-    rowId,
-    tool,
-    data: response,
-    completedAt: new Date().toISOString()
-  });
-
-  // 5. Update batch progress
-  if (batchId) {
-    await queue.updateBatchProgress(batchId, 'completed');
-  }
-
-  // 6. Fire callback if provided
-  if (callbackUrl) {
-    const callbackResult = await callback.sendCompletedCallback(job, response);
-    if (!callbackResult.success) {
-      logger.warn('Callback delivery failed', {
-        jobId: job.id,
-        rowId,
-        error: callbackResult.error
-      });
-      // Don't fail the job if callback fails - the job itself succeeded
-    }
-  }
-
   return response;
 }
 
@@ -112,124 +376,438 @@ async function processJob(job) {
  * @param {Error} error - The error that caused failure
  */
 async function handleJobFailure(job, error) {
-  const { tool, rowId, callbackUrl, batchId } = job.data;
+  const { tool, rowId, batchId } = job.data;
   const isFinalAttempt = job.attemptsMade >= job.opts.attempts;
+  const { attemptsMade, maxAttempts } = queue.getJobAttempts(job);
 
   logger.error('Job processing failed', {
     jobId: job.id,
     tool,
     rowId,
     batchId: batchId || 'none',
-    attempt: job.attemptsMade,
-    maxAttempts: job.opts.attempts,
+    attempt: attemptsMade,
+    maxAttempts,
     isFinalAttempt,
     error: error.message
   });
 
-  // Only update batch and send callback on final failure
+  // Only store the failure, send callback and update batch on final failure
   if (isFinalAttempt) {
-    // Update batch progress
-    if (batchId) {
-      await queue.updateBatchProgress(batchId, 'failed');
+    await pagination.discardPages(job);
+    const rows = await getJobRows(job);
+    for (const row of rows) {
+      await failRow(row, error);
     }
+    await queue.clearJobFollowers(rows[0].id);
+  }
+}
 
-    // Store failure result
-    await queue.storeResult(job.id, batchId, {
+/**
+ * Store a row's failure, send its callback and count it towards its batch
+ * Rows an earlier attempt already completed keep their result.
+ * @param {object} row - Row from getJobRows
+ * @param {Error} error - The error that caused failure
+ */
+async function failRow(row, error) {
+  if (await queue.isRowDone(row.id, row.resultId)) return;
+
+  const { tool, rowId, rowIndex, callbackUrl, batchId, clientId } = row.data;
+
+  // Store failure result
+  await queue.storeResult(row.resultId, batchId, {
+    jobId: row.id,
+    rowId,
+    rowIndex,
+    tool,
+    clientId,
+    status: 'failed',
+    error: error.message,
+    failedAt: new Date().toISOString()
+  });
+
+  // Send failure callback
+  if (callbackUrl) {
+    const payload = callback.buildCallbackPayload(row, null, 'failed', error.message);
+    await sendRowCallback(row, payload);
+  }
+
+  // Update batch progress
+  await recordRowProgress(row, 'failed');
+}
+
+/**
+ * Send a per-row callback, or add it to the batch's callback group when grouping is enabled
+ * @param {Job|object} job - BullMQ job, or a row from getJobRows
+ * @param {object} payload - Payload from callback.buildCallbackPayload
+ */
+async function sendRowCallback(job, payload) {
+  const { rowId, callbackUrl, callbackSecret, callbackGroup, batchId } = job.data;
+
+  if (batchId && callbackGroup) {
+    await callbackGroups.add(batchId, payload, callbackGroup);
+    return;
+  }
+
+  const callbackResult = await callbackOutbox.deliver(callbackUrl, payload, {
+    callbackSecret,
+    jobId: job.id,
+    batchId
+  });
+
+  if (!callbackResult.success) {
+    logger.warn('Callback delivery failed', {
       jobId: job.id,
       rowId,
-      tool,
-      status: 'failed',
-      error: error.message,
-      failedAt: new Date().toISOString()
+      error: callbackResult.error,
+      outboxId: callbackResult.outboxId
+    });
+    // Don't fail the job if callback fails - the job itself succeeded
+  }
+}
+
+// =============================================================================
+// Adaptive Rate
+// =============================================================================
+
+/**
+ * Slow a bucket down after a 429 and pause its queue for the Retry-After period
+ * @param {string} bucket - Rate bucket name
+ * @param {number|null} retryAfterMs - Delay from the Retry-After header, if one was sent
+ */
+async function slowDownBucket(bucket, retryAfterMs) {
+  const { durationMs, pauseMs } = await adaptiveRate.recordRateLimited(bucket, retryAfterMs);
+
+  workers.get(bucket).opts.limiter.duration = durationMs;
+  await queue.getQueue(bucket).rateLimit(pauseMs);
+}
+
+/**
+ * Move a bucket back toward its configured rate after a successful call
+ * @param {string} bucket - Rate bucket name
+ */
+async function speedUpBucket(bucket) {
+  try {
+    workers.get(bucket).opts.limiter.duration = await adaptiveRate.recordSuccess(bucket);
+  } catch (error) {
+    // The call itself succeeded - don't fail the job over rate bookkeeping
+    logger.error('Failed to update adaptive rate', { bucket, error: error.message });
+  }
+}
+
+/**
+ * Apply the live config and adaptive state to every bucket's limiter
+ * Runs at startup (restoring rates from before a restart) and whenever the config is polled.
+ */
+async function syncBucketRates() {
+  try {
+    const runtimeConfig = await queue.getRuntimeConfig();
+
+    for (const [bucket, worker] of workers) {
+      const { max, durationMs } = await adaptiveRate.getEffectiveLimit(bucket, runtimeConfig);
+      const limiter = worker.opts.limiter;
+
+      if (limiter.max !== max || limiter.duration !== durationMs) {
+        logger.info('Rate bucket limiter updated', {
+          bucket,
+          max,
+          durationMs,
+          previousMax: limiter.max,
+          previousDurationMs: limiter.duration
+        });
+        limiter.max = max;
+        limiter.duration = durationMs;
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to sync bucket rates', { error: error.message });
+  }
+}
+
+// =============================================================================
+// Batch Completion
+// =============================================================================
+
+/**
+ * Record a row as finished, update its batch's progress and send the completion callback if this row
+ * finished the batch
+ * @param {object} row - Row from getJobRows
+ * @param {'completed'|'failed'} field - Field to increment
+ */
+async function recordRowProgress(row, field) {
+  const { batchId } = row.data;
+  const { finished } = await queue.finishRow(row.id, row.resultId, batchId, field);
+  if (finished) {
+    // Send any partially filled callback group before the batch-level signal
+    await callbackGroups.flushAll(batchId);
+    await notifyBatchCompletion(batchId);
+  }
+}
+
+/**
+ * Deliver a batch's completion callback if it is still pending
+ * Safe to call repeatedly - only a batch still in the pending set can be claimed, and the claim lock keeps
+ * concurrent callers out while one delivers.
+ * @param {string} batchId - Batch identifier
+ */
+async function notifyBatchCompletion(batchId) {
+  const info = await queue.getBatchCompletionInfo(batchId);
+  if (!info || !info.completionCallbackUrl) {
+    return;
+  }
+
+  if (!await queue.claimBatchCompletion(batchId)) {
+    logger.debug('Batch completion callback already delivered or being delivered', { batchId });
+    return;
+  }
+
+  const payload = callback.buildBatchCompletedPayload(info.status, info.failedRowIds);
+  const outcome = await callbackOutbox.deliver(info.completionCallbackUrl, payload, {
+    callbackSecret: info.callbackSecret,
+    batchId
+  });
+
+  await queue.resolveBatchCompletion(batchId, outcome);
+
+  if (!outcome.success) {
+    logger.warn('Batch completion callback delivery failed', {
+      batchId,
+      error: outcome.error,
+      outboxId: outcome.outboxId
     });
+  }
+}
 
-    // Send failure callback
-    if (callbackUrl) {
-      await callback.sendFailedCallback(job, error.message);
+/**
+ * Deliver completion callbacks left pending by a restart or finished outside the worker
+ */
+async function flushPendingBatchCompletions() {
+  try {
+    const batchIds = await queue.getPendingBatchCompletions();
+    for (const batchId of batchIds) {
+      await notifyBatchCompletion(batchId);
     }
+  } catch (error) {
+    logger.error('Failed to flush pending batch completions', { error: error.message });
   }
 }
 
 // =============================================================================
-// Worker Setup
+// Callback Delivery Loops
 // =============================================================================
 
-const worker = new Worker(
-  QUEUE_NAME,
-  async (job) => {
-    currentJob = job;
-    try {
-      return await processJob(job);
-    } finally {
-      currentJob = null;
+// Set while an outbox retry pass runs, so a slow pass is never overlapped by the next tick
+let outboxRetryRunning = false;
+
+/**
+ * Retry outbox callbacks that are due
+ */
+async function retryOutboxCallbacks() {
+  if (outboxRetryRunning) return;
+  outboxRetryRunning = true;
+
+  try {
+    const attempted = await callbackOutbox.retryDue();
+    if (attempted > 0) {
+      logger.info('Retried outbox callbacks', { attempted });
     }
-  },
-  {
-    connection: queue.getRedisConnection(),
+  } catch (error) {
+    logger.error('Failed to retry outbox callbacks', { error: error.message });
+  } finally {
+    outboxRetryRunning = false;
+  }
+}
 
-    // Rate limiter: 1 job per DRIP_INTERVAL_MS
+/**
+ * Send callback groups whose interval has elapsed
+ */
+async function flushDueCallbackGroups() {
+  try {
+    await callbackGroups.flushDue();
+  } catch (error) {
+    logger.error('Failed to flush callback groups', { error: error.message });
+  }
+}
+
+// =============================================================================
+// Result Retention
+// =============================================================================
+
+/**
+ * Remove kept batches whose retention has run out from the result sink
+ */
+async function removeExpiredBatches() {
+  const sink = getResultSink();
+  if (!sink) return;
+
+  try {
+    const removed = await sink.removeExpired(new Date());
+    if (removed > 0) {
+      logger.info('Removed expired batches from result sink', { removed, sink: sink.name });
+    }
+  } catch (error) {
+    logger.error('Failed to remove expired batches from result sink', { error: error.message });
+  }
+}
+
+// =============================================================================
+// Worker Setup
+// =============================================================================
+
+/**
+ * Create the worker for one rate bucket
+ * @param {string} bucket - Rate bucket name
+ * @returns {Worker}
+ */
+function createBucketWorker(bucket) {
+  const { max, durationMs } = getRateLimit(bucket);
+
+  return createJobWorker(bucket, {
+    // Rate limiter: the bucket's budget (1 job per DRIP_INTERVAL_MS by default) - kept live by syncBucketRates
     limiter: {
-      max: 1,
-      duration: DRIP_INTERVAL_MS
+      max,
+      duration: durationMs
     },
 
-    // Only process one job at a time
-    concurrency: 1,
+    // Only process one job at a time per bucket
+    concurrency: 1
+  });
+}
 
-    // Lock jobs for 5 minutes (in case of slow API calls)
-    lockDuration: 300000,
+/**
+ * Create a worker that runs processJob for one queue
+ * @param {string} bucket - Rate bucket name, or queue.CACHE_LANE
+ * @param {object} options - Limiter and concurrency for the queue
+ * @returns {Worker}
+ */
+function createJobWorker(bucket, options) {
+  const worker = new Worker(
+    queue.getQueueName(bucket),
+    async (job) => {
+      activeJobs.set(job.id, job);
+      try {
+        return await processJob(job);
+      } finally {
+        activeJobs.delete(job.id);
+      }
+    },
+    {
+      connection: queue.getRedisConnection(),
 
-    // Renew lock every 30 seconds
-    lockRenewTime: 30000
-  }
-);
+      ...options,
+
+      // Lock jobs for 5 minutes (in case of slow API calls)
+      lockDuration: 300000,
+
+      // Renew lock every 30 seconds
+      lockRenewTime: 30000
+    }
+  );
+
+  registerWorkerEvents(worker, bucket);
+  return worker;
+}
+
+// Pick up completion callbacks from before a restart, then keep sweeping
+flushPendingBatchCompletions();
+const completionSweep = setInterval(flushPendingBatchCompletions, COMPLETION_SWEEP_INTERVAL_MS);
+
+// Retry outbox callbacks on their slow schedule
+const outboxRetryLoop = setInterval(retryOutboxCallbacks, OUTBOX_RETRY_INTERVAL_MS);
+
+// Send callback groups that have waited their full interval
+const callbackGroupLoop = setInterval(flushDueCallbackGroups, CALLBACK_GROUP_CHECK_INTERVAL_MS);
+
+// Drop kept batches past their retention, including any that expired while the worker was down
+removeExpiredBatches();
+const retentionSweep = setInterval(removeExpiredBatches, RETENTION_SWEEP_INTERVAL_MS);
 
 // =============================================================================
 // Worker Events
 // =============================================================================
 
-worker.on('ready', () => {
-  logger.info('Worker is ready', {
-    queue: QUEUE_NAME,
-    dripInterval: `${DRIP_INTERVAL_MS}ms`,
-    ratePerMinute: 60000 / DRIP_INTERVAL_MS
+// Signal PM2 once every bucket worker and the cache lane worker are ready
+let readyWorkers = 0;
+
+/**
+ * Attach logging and failure handling to a job worker
+ * @param {Worker} worker - BullMQ worker
+ * @param {string} bucket - Rate bucket name, or queue.CACHE_LANE
+ */
+function registerWorkerEvents(worker, bucket) {
+  worker.on('ready', () => {
+    const limiter = worker.opts.limiter;
+    logger.info('Worker is ready', {
+      queue: worker.name,
+      bucket,
+      rateLimit: limiter ? `${limiter.max} per ${limiter.duration}ms` : 'none',
+      ratePerMinute: limiter ? (limiter.max * 60000) / limiter.duration : null
+    });
+
+    readyWorkers++;
+    if (readyWorkers === workers.size + 1 && process.send) {
+      process.send('ready');
+    }
   });
 
-  // Signal PM2 that we're ready
-  if (process.send) {
-    process.send('ready');
-  }
-});
+  worker.on('active', (job) => {
+    logger.debug('Job active', {
+      jobId: job.id,
+      bucket,
+      tool: job.data.tool,
+      rowId: job.data.rowId
+    });
+  });
 
-worker.on('active', (job) => {
-  logger.debug('Job active', {
-    jobId: job.id,
-    tool: job.data.tool,
-    rowId: job.data.rowId
+  worker.on('completed', (job, result) => {
+    logger.info('Job completed', {
+      jobId: job.id,
+      tool: job.data.tool,
+      rowId: job.data.rowId,
+      duration: `${Date.now() - job.timestamp}ms`
+    });
   });
-});
 
-worker.on('completed', (job, result) => {
-  logger.info('Job completed', {
-    jobId: job.id,
-    tool: job.data.tool,
-    rowId: job.data.rowId,
-    duration: `${Date.now() - job.timestamp}ms`
+  worker.on('failed', async (job, error) => {
+    await handleJobFailure(job, error);
   });
-});
 
-worker.on('failed', async (job, error) => {
-  await handleJobFailure(job, error);
-});
+  worker.on('error', (error) => {
+    logger.error('Worker error', { bucket, error: error.message });
+  });
+
+  worker.on('stalled', (jobId) => {
+    logger.warn('Job stalled', { jobId, bucket });
+  });
+}
+
+// Workers by rate bucket
+const workers = new Map(listRateBuckets().map(bucket => [bucket, createBucketWorker(bucket)]));
+
+// Cache hits finish without calling AnySite, so they skip the drip entirely
+const cacheLaneWorker = createJobWorker(queue.CACHE_LANE, { concurrency: 5 });
+
+// Queues a new batch each time a schedule fires - not rate limited, the batch's own bucket is
+const scheduleWorker = new Worker(
+  schedules.SCHEDULES_QUEUE_NAME,
+  async (job) => ({ batchId: await schedules.runSchedule(job.data.scheduleId) }),
+  {
+    connection: queue.getRedisConnection(),
+    concurrency: 1
+  }
+);
 
-worker.on('error', (error) => {
-  logger.error('Worker error', { error: error.message });
+scheduleWorker.on('failed', (job, error) => {
+  logger.error('Schedule run failed', { scheduleId: job?.data.scheduleId, error: error.message });
 });
 
-worker.on('stalled', (jobId) => {
-  logger.warn('Job stalled', { jobId });
+scheduleWorker.on('error', (error) => {
+  logger.error('Schedule worker error', { error: error.message });
 });
 
+// Pick up drip changes made through PUT /api/admin/config without a restart
+syncBucketRates();
+const configPollLoop = setInterval(syncBucketRates, CONFIG_POLL_INTERVAL_MS);
+
 // =============================================================================
 // Graceful Shutdown
 // =============================================================================
@@ -243,18 +821,26 @@ async function shutdown(signal) {
   isShuttingDown = true;
   logger.info(`Received ${signal}, starting graceful shutdown...`);
 
-  // Wait for current job to complete (if any)
-  if (currentJob) {
+  // Wait for current jobs to complete (if any)
+  for (const job of activeJobs.values()) {
     logger.info('Waiting for current job to complete...', {
-      jobId: currentJob.id,
-      tool: currentJob.data.tool
+      jobId: job.id,
+      tool: job.data.tool
     });
   }
 
+  clearInterval(completionSweep);
+  clearInterval(outboxRetryLoop);
+  clearInterval(callbackGroupLoop);
+  clearInterval(retentionSweep);
+  clearInterval(configPollLoop);
+
   try {
-    // Close worker (waits for current job)
-    await worker.close();
-    logger.info('Worker closed');
+    // Close workers (each waits for its current job)
+    await Promise.all([...workers.values(), cacheLaneWorker, scheduleWorker].map(worker => worker.close()));
+    logger.info('Workers closed');
+
+    await schedules.shutdown();
 
     // Close queue connections
     await queue.shutdown();
@@ -287,8 +873,7 @@ process.on('unhandledRejection', (reason, promise) => {
 // =============================================================================
 
 logger.info('AnySignals worker starting...', {
-  queue: QUEUE_NAME,
-  dripInterval: `${DRIP_INTERVAL_MS}ms`,
+  queues: [...workers.values(), cacheLaneWorker].map(worker => worker.name),
   resultTTL: `${RESULT_TTL_SECONDS}s`,
   environment: process.env.NODE_ENV || 'development'
 });